@@ -13,14 +13,79 @@ const TeamSpeakChannel = require(__dirname+"/property/Channel")
 const TeamSpeakServer = require(__dirname+"/property/Server")
 const TeamSpeakServerGroup = require(__dirname+"/property/ServerGroup")
 const TeamSpeakChannelGroup = require(__dirname+"/property/ChannelGroup")
+const TeamSpeakBan = require(__dirname+"/property/Ban")
+const TeamSpeakMessage = require(__dirname+"/property/Message")
+const TeamSpeakDatabaseClient = require(__dirname+"/property/DatabaseClient")
+const TeamSpeakComplaint = require(__dirname+"/property/Complaint")
+const TeamSpeakFile = require(__dirname+"/property/File")
+const LiveState = require(__dirname+"/manager/LiveState")
+const ChannelLayout = require(__dirname+"/manager/ChannelLayout")
+const PermissionSync = require(__dirname+"/manager/PermissionSync")
+const PermissionCatalog = require(__dirname+"/manager/PermissionCatalog")
+const EffectivePermissions = require(__dirname+"/manager/EffectivePermissions")
+const ServerExport = require(__dirname+"/manager/ServerExport")
+const TokenManager = require(__dirname+"/manager/TokenManager")
+const MessagePoller = require(__dirname+"/manager/MessagePoller")
+const ComplaintManager = require(__dirname+"/manager/ComplaintManager")
+const ListIterator = require(__dirname+"/manager/ListIterator")
+const DatabasePruner = require(__dirname+"/manager/DatabasePruner")
+const LogTail = require(__dirname+"/manager/LogTail")
+const diffSnapshots = require(__dirname+"/helper/snapshotdiff")
+const parseLog = require(__dirname+"/helper/parselog")
 
 const EventEmitter = require("events")
 
+/**
+ * Notifications which only get sent by TeaSpeak Servers
+ * @ignore
+ */
+const TEASPEAK_EVENTS = [
+    "musicplayersongchange",
+    "musicstatusupdate",
+    "playlistsongadd",
+    "playlistsongremove",
+    "playlistsongreorder",
+    "playlistsongloaded"
+]
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Properties of a Ban which get exported by banExport
+ * @ignore
+ */
+const BAN_EXPORT_KEYS = ["ip", "name", "uid", "mytsid", "reason", "lastnickname"]
+
+/**
+ * Subscriptions which are needed to receive an Event
+ * @ignore
+ */
+const EVENT_SUBSCRIPTIONS = {
+    clientconnect: [{event: "server"}],
+    clientdisconnect: [{event: "server"}],
+    serveredit: [{event: "server"}],
+    clientmoved: [{event: "channel", id: 0}],
+    channeledit: [{event: "channel", id: 0}],
+    channelmoved: [{event: "channel", id: 0}],
+    channelcreate: [{event: "channel", id: 0}],
+    channeldelete: [{event: "channel", id: 0}],
+    channeldescriptionchange: [{event: "channel", id: 0}],
+    channelpasswordchange: [{event: "channel", id: 0}],
+    textmessage: [{event: "textserver"}, {event: "textchannel"}, {event: "textprivate"}],
+    tokenused: [{event: "tokenused"}]
+}
+
 /**
  * Main TeamSpeak Query Class
  * @fires TeamSpeak3#ready
  * @fires TeamSpeak3#error
  * @fires TeamSpeak3#close
+ * @fires TeamSpeak3#reconnecting
+ * @fires TeamSpeak3#reconnected
  * @fires TeamSpeak3#channeldelete
  * @fires TeamSpeak3#channelmoved
  * @fires TeamSpeak3#channelcreate
@@ -30,6 +95,19 @@ const EventEmitter = require("events")
  * @fires TeamSpeak3#textmessage
  * @fires TeamSpeak3#clientdisconnect
  * @fires TeamSpeak3#clientconnect
+ * @fires TeamSpeak3#clientpoke
+ * @fires TeamSpeak3#tokenused
+ * @fires TeamSpeak3#offlinemessage
+ * @fires TeamSpeak3#complaintthreshold
+ * @fires TeamSpeak3#channeldescriptionchange
+ * @fires TeamSpeak3#channelpasswordchange
+ * @fires TeamSpeak3#musicplayersongchange
+ * @fires TeamSpeak3#musicstatusupdate
+ * @fires TeamSpeak3#playlistsongadd
+ * @fires TeamSpeak3#playlistsongremove
+ * @fires TeamSpeak3#playlistsongreorder
+ * @fires TeamSpeak3#playlistsongloaded
+ * @fires TeamSpeak3#raw
  */
 class TeamSpeak3 extends EventEmitter {
     /**
@@ -45,7 +123,17 @@ class TeamSpeak3 extends EventEmitter {
      * @param {string} [config.nickname] - The Nickname the Client should have
      * @param {boolean} [config.antispam=false] - Whether the AntiSpam should be activated or deactivated
      * @param {number} [config.antispamtimer=350] - The time between every command for the antispam (in ms)
+     * @param {boolean} [config.floodcontrol=false] - Whether the commands should be throttled according to the antiflood settings of the selected virtual server
      * @param {boolean} [config.keepalive=true] - Whether the Query should send a keepalive
+     * @param {boolean} [config.reconnect=false] - Whether the Query should reconnect and restore its session after the connection has been lost
+     * @param {number} [config.reconnectattempts=10] - Maximum amount of reconnect attempts before giving up
+     * @param {number} [config.reconnectdelay=1000] - The delay before the first reconnect attempt (in ms), doubles with every failed attempt
+     * @param {number} [config.reconnectmaxdelay=60000] - The maximum delay between two reconnect attempts (in ms)
+     * @param {number} [config.commandtimeout=0] - The time a command may take before it gets rejected (in ms), 0 disables the timeout
+     * @param {boolean} [config.autoregister=false] - Whether the needed Events should get subscribed as soon as a Listener gets attached
+     * @param {number} [config.messagepollinterval=30000] - The time between two polls of the Inbox for the offlinemessage Event (in ms)
+     * @param {(number|number[])} [config.complainthreshold=3] - The amounts of complaints about a client at which the complaintthreshold Event gets fired
+     * @param {number} [config.complainpollinterval=30000] - The time between two polls of the complaints for the complaintthreshold Event (in ms)
      */
     constructor(config = {}) {
         super()
@@ -59,14 +147,47 @@ class TeamSpeak3 extends EventEmitter {
             nickname: config.nickname || false,
             antispam: Boolean(config.antispam),
             antispamtimer: parseInt(config.antispamtimer) || 350,
-            keepalive: Boolean(config.keepalive)
+            floodcontrol: Boolean(config.floodcontrol),
+            keepalive: Boolean(config.keepalive),
+            reconnect: Boolean(config.reconnect),
+            reconnectattempts: parseInt(config.reconnectattempts) || 10,
+            reconnectdelay: parseInt(config.reconnectdelay) || 1000,
+            reconnectmaxdelay: parseInt(config.reconnectmaxdelay) || 60000,
+            commandtimeout: parseInt(config.commandtimeout) || 0,
+            autoregister: Boolean(config.autoregister),
+            messagepollinterval: parseInt(config.messagepollinterval) || 30000,
+            complainthreshold: [].concat(config.complainthreshold || 3).map(t => parseInt(t)),
+            complainpollinterval: parseInt(config.complainpollinterval) || 30000
+        }
+
+        //session state which gets restored after a reconnect
+        this._context = {
+            login: false,
+            selected: false,
+            nickname: false,
+            events: []
         }
+        this._ready = false
+        this._reconnectAttempt = 0
+        this._reconnectTimer = null
+        this._quit = false
+        this._pendingEvents = []
 
         this._clients = {}
         this._channels = {}
         this._servergroups = {}
         this._channelgroups = {}
         this._servers = {}
+        this._bans = {}
+        this._messages = {}
+        this._handles = {}
+        this._options = {}
+        this._liveState = null
+        this._permissions = new PermissionCatalog(this)
+        this._tokens = new TokenManager(this)
+        this._messagePoller = new MessagePoller(this, this._config.messagepollinterval)
+        this._complaints = new ComplaintManager(this, this._config.complainthreshold, this._config.complainpollinterval)
+        this._logTail = null
 
         this._ts3 = new TS3Query(
           this._config.host,
@@ -78,6 +199,8 @@ class TeamSpeak3 extends EventEmitter {
 
         if (this._config.keepalive) this._ts3.keepAlive()
         if (this._config.antispam) this._ts3.antiSpam(this._config.antispamtimer)
+        if (this._config.floodcontrol) this._ts3.floodControl()
+        this._ts3.commandTimeout(this._config.commandtimeout)
 
         this._ts3.on("cliententerview", this._evcliententerview.bind(this))
         this._ts3.on("clientleftview", this._evclientleftview.bind(this))
@@ -88,8 +211,17 @@ class TeamSpeak3 extends EventEmitter {
         this._ts3.on("channelcreated", this._evchannelcreated.bind(this))
         this._ts3.on("clientmoved", this._evclientmoved.bind(this))
         this._ts3.on("textmessage", this._evtextmessage.bind(this))
+        this._ts3.on("clientpoke", this._evclientpoke.bind(this))
+        this._ts3.on("tokenused", this._evtokenused.bind(this))
+        this._ts3.on("channeldescriptionchanged", this._evchanneldescriptionchanged.bind(this))
+        this._ts3.on("channelpasswordchanged", this._evchannelpasswordchanged.bind(this))
+        TEASPEAK_EVENTS.forEach(name => this._ts3.on(name, this._evteaspeak.bind(this, name)))
+        this._ts3.on("notify", this._evraw.bind(this))
+        this._ts3.on("home", () => this._restoreSubscriptions())
 
         this._ts3.on("connect", () => {
+            this._permissions.reset()
+            if (this._ready) return this._restoreSession()
             var exec = []
             if (typeof this._config.username === "string" && this._config.protocol === "raw")
                 exec.push(this.login(this._config.username, this._config.password))
@@ -105,31 +237,279 @@ class TeamSpeak3 extends EventEmitter {
                  * @event TeamSpeak3#ready
                  * @memberof TeamSpeak3
                  */
-                .then(r => super.emit("ready"))
+                .then(r => {
+                    this._ready = true
+                    this._reconnectAttempt = 0
+                    return this._registerAllPending()
+                })
+                .then(() => super.emit("ready"))
                 .catch(e => super.emit("error", e))
         })
 
+        this.on("newListener", name => this._autoRegister(name))
+        this.on("newListener", name => {
+            if (name === "offlinemessage") this._messagePoller.start()
+            if (name === "complaintthreshold") this._complaints.start()
+        })
+        this.on("removeListener", name => {
+            if (name === "offlinemessage" && this.listenerCount(name) === 0) this._messagePoller.stop()
+            if (name === "complaintthreshold" && this.listenerCount(name) === 0) this._complaints.stop()
+        })
+
+
+        this._ts3.on("close", e => {
+            if (this._config.reconnect && !this._quit
+                && this._reconnectAttempt < this._config.reconnectattempts)
+                return this._reconnect()
+            this._close(e)
+        })
+        /**
+         * Query Error Event
+         * Gets fired when the TeamSpeak Query had an error while trying to connect
+         * and also gets fired when there was an error after receiving an event
+         *
+         * @event TeamSpeak3#error
+         * @memberof  TeamSpeak3
+         * @returns {object} - return the error object
+         */
+         this._ts3.on("error", e => super.emit("error", e))
+    }
+
 
+    /**
+     * Retrieves the Query Connection on which a command should get executed
+     * @version 1.10
+     * @private
+     * @param {object} args - The Arguments which have been passed to execute
+     * @returns {TS3Query}
+     */
+    _getQuery(args) {
+        return this._ts3
+    }
+
+
+    /**
+     * Stops everything which runs in the background and rejects the queued commands
+     * after the connection has been closed and no further reconnect attempt will be made
+     * @version 1.10
+     * @private
+     * @param {object} [e] - The Error which has been received before the connection has been closed
+     */
+    _close(e) {
+        this._messagePoller.stop()
+        this._complaints.stop()
+        if (this._logTail) this._logTail.stop()
+        this._ts3.shutdown()
         /**
          * Query Close Event
          * Gets fired when the Query disconnects from the TeamSpeak Server
+         * and no further reconnect attempt will be made
          *
          * @event TeamSpeak3#close
          * @memberof TeamSpeak3
          * @type {object}
          * @returns {object} - may return an error object
          */
-        this._ts3.on("close", e => super.emit("close", e))
+        super.emit("close", e)
+    }
+
+
+    /**
+     * Schedules the next reconnect attempt with an exponential backoff
+     * @version 1.10
+     * @private
+     */
+    _reconnect() {
+        var delay = this._getReconnectDelay(this._reconnectAttempt)
+        this._reconnectAttempt++
         /**
-         * Query Error Event
-         * Gets fired when the TeamSpeak Query had an error while trying to connect
-         * and also gets fired when there was an error after receiving an event
+         * Query Reconnecting Event
+         * Gets fired when the connection has been lost and a reconnect attempt has been scheduled
          *
-         * @event TeamSpeak3#error
-         * @memberof  TeamSpeak3
-         * @returns {object} - return the error object
+         * @event TeamSpeak3#reconnecting
+         * @memberof TeamSpeak3
+         * @type {object}
+         * @property {number} attempt - The number of the upcoming reconnect attempt
+         * @property {number} delay - The time until the reconnect attempt gets made (in ms)
          */
-         this._ts3.on("error", e => super.emit("error", e))
+        super.emit("reconnecting", {attempt: this._reconnectAttempt, delay: delay})
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null
+            this._ts3.connect()
+        }, delay)
+    }
+
+
+    /**
+     * Calculates the delay of a reconnect attempt, doubles with every failed attempt up to reconnectmaxdelay
+     * @version 1.10
+     * @private
+     * @param {number} attempt - The amount of attempts which have already failed
+     * @returns {number} The delay in ms
+     */
+    _getReconnectDelay(attempt) {
+        return Math.min(
+            this._config.reconnectdelay * Math.pow(2, attempt),
+            this._config.reconnectmaxdelay
+        )
+    }
+
+
+    /**
+     * Subscribes to the Events which are needed for a newly attached Listener
+     * Subscriptions get deferred until the Query is ready
+     * @version 1.10
+     * @private
+     * @param {string} name - The Name of the Event a Listener has been attached to
+     */
+    _autoRegister(name) {
+        if (!this._config.autoregister || !EVENT_SUBSCRIPTIONS.hasOwnProperty(name)) return
+        EVENT_SUBSCRIPTIONS[name]
+            .filter(sub => !this._context.events.concat(this._pendingEvents)
+                .some(ev => TeamSpeak3._isSameSubscription(ev, sub)))
+            .forEach(sub => {
+                this._pendingEvents.push(sub)
+                if (this._ready) this._registerPending(sub).catch(e => this._emitError(e))
+            })
+    }
+
+
+    /**
+     * Sends a pending Subscription and removes it from the pending list afterwards
+     * A failed Subscription stays pending and will be sent again after a reconnect or with registerPending
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object} sub - The Subscription which should get sent
+     * @returns {Promise.<object>}
+     */
+    _registerPending(sub) {
+        return this.registerEvent(sub.event, ("id" in sub) ? sub.id : false)
+            .then(res => {
+                if (this._pendingEvents.indexOf(sub) >= 0)
+                    this._pendingEvents.splice(this._pendingEvents.indexOf(sub), 1)
+                return res
+            })
+    }
+
+
+    /**
+     * Sends all pending Subscriptions, failed Subscriptions get reported as error Event
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise}
+     */
+    _registerAllPending() {
+        return Promise.all(this._pendingEvents.slice().map(sub => {
+            return this._registerPending(sub).catch(e => this._emitError(e))
+        }))
+    }
+
+
+    /**
+     * Emits an error which occured outside of a command the user has sent
+     * Without an error Listener the error gets dropped instead of being thrown
+     * @version 1.10
+     * @private
+     * @param {Error} e - The Error
+     */
+    _emitError(e) {
+        if (this.listenerCount("error") > 0) super.emit("error", e)
+    }
+
+
+    /**
+     * Restores the login, the selected virtual server, the nickname and all event subscriptions
+     * after the Query has been reconnected, before any other queued command gets sent
+     * When the session can not be restored the connection gets closed and the next reconnect attempt gets made
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise}
+     */
+    _restoreSession() {
+        var ctx = this._context
+        var exec = []
+        //the remaining commands of a failed restore get removed from the queue
+        var signal = new EventEmitter()
+        var options = {prior: true, signal: signal}
+        if (ctx.login)
+            exec.push(this._ts3.executeWith(options, "login", [ctx.login.username, ctx.login.password]))
+        if (ctx.selected)
+            exec.push(this._ts3.executeWith(options, "use", ctx.selected))
+        if (ctx.nickname)
+            exec.push(this._ts3.executeWith(options, "clientupdate", {client_nickname: ctx.nickname}))
+        ctx.events.forEach(ev => exec.push(this._ts3.executeWith(options, "servernotifyregister", Object.assign({}, ev))))
+        return Promise.all(exec)
+            .then(() => {
+                var attempt = this._reconnectAttempt
+                this._reconnectAttempt = 0
+                /**
+                 * Query Reconnected Event
+                 * Gets fired when the Query has been reconnected and the session has been restored
+                 *
+                 * @event TeamSpeak3#reconnected
+                 * @memberof TeamSpeak3
+                 * @type {object}
+                 * @property {number} attempt - The number of attempts which were needed
+                 */
+                super.emit("reconnected", {attempt: attempt})
+                return this._registerAllPending()
+            })
+            .catch(e => {
+                signal.aborted = true
+                signal.emit("abort")
+                this._emitError(e)
+                this._ts3.close()
+            })
+    }
+
+
+    /**
+     * Subscribes to all Events of the session again after the Query has switched back to the home server,
+     * the server drops the subscriptions with every switch to another virtual server
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise}
+     */
+    _restoreSubscriptions() {
+        return Promise.all(this._context.events.map(ev => {
+            return this._ts3.executePrior("servernotifyregister", Object.assign({}, ev))
+        })).catch(e => this._emitError(e))
+    }
+
+
+    /**
+     * Retrieves the Client of an Event, while the Live State is active it gets read from there instead of requesting the Client List
+     * The lookup happens after the Live State has applied the notification
+     * @version 1.10
+     * @private
+     * @async
+     * @param {number} clid - The Client ID
+     * @returns {Promise.<TeamSpeakClient>}
+     */
+    _getEventClient(clid) {
+        var live = this._liveState
+        if (!live) return this.getClientByID(clid)
+        return live.ready().then(() => live.getClient(clid), () => this.getClientByID(clid))
+    }
+
+
+    /**
+     * Retrieves the Channel of an Event, while the Live State is active it gets read from there instead of requesting the Channel List
+     * The lookup happens after the Live State has applied the notification
+     * @version 1.10
+     * @private
+     * @async
+     * @param {number} cid - The Channel ID
+     * @returns {Promise.<TeamSpeakChannel>}
+     */
+    _getEventChannel(cid) {
+        var live = this._liveState
+        if (!live) return this.getChannelByID(cid)
+        return live.ready().then(() => live.getChannel(cid), () => this.getChannelByID(cid))
     }
 
 
@@ -181,7 +561,7 @@ class TeamSpeak3 extends EventEmitter {
      */
     _evtextmessage() {
         var ev = arguments[0]
-        this.getClientByID(ev.invokerid)
+        this._getEventClient(ev.invokerid)
         .then(c => {
             super.emit("textmessage", {
                 invoker: c,
@@ -205,8 +585,8 @@ class TeamSpeak3 extends EventEmitter {
     _evclientmoved() {
         var args = arguments[0]
         Promise.all([
-            this.getClientByID(args.clid),
-            this.getChannelByID(args.ctid)
+            this._getEventClient(args.clid),
+            this._getEventChannel(args.ctid)
         ]).then(res => {
             this.emit("clientmoved", {
                 client: res[0],
@@ -228,7 +608,7 @@ class TeamSpeak3 extends EventEmitter {
      */
     _evserveredited() {
         var args = arguments[0]
-        this.getClientByID(args.invokerid)
+        this._getEventClient(args.invokerid)
         .then(client => {
             var prop = {invoker: client, modified: {}}
             Object.keys(args)
@@ -252,8 +632,8 @@ class TeamSpeak3 extends EventEmitter {
     _evchanneledited() {
         var args = arguments[0]
         Promise.all([
-            this.getClientByID(args.invokerid),
-            this.getChannelByID(args.cid)
+            this._getEventClient(args.invokerid),
+            this._getEventChannel(args.cid)
         ]).then(res => {
             var prop = {invoker: res[0], channel: res[1], modified: {}}
             Object.keys(args)
@@ -277,8 +657,8 @@ class TeamSpeak3 extends EventEmitter {
     _evchannelcreated() {
         var args = arguments[0]
         Promise.all([
-            this.getClientByID(args.invokerid),
-            this.getChannelByID(args.cid)
+            this._getEventClient(args.invokerid),
+            this._getEventChannel(args.cid)
         ]).then(res => {
             var prop = {invoker: res[0], channel: res[1], modified: {}}
             Object.keys(args)
@@ -302,9 +682,9 @@ class TeamSpeak3 extends EventEmitter {
     _evchannelmoved() {
         var args = arguments[0]
         Promise.all([
-            this.getClientByID(args.invokerid),
-            this.getChannelByID(args.cid),
-            this.getChannelByID(args.cpid)
+            this._getEventClient(args.invokerid),
+            this._getEventChannel(args.cid),
+            this._getEventChannel(args.cpid)
         ]).then(res => this.emit("channelmoved", {
             invoker: res[0],
             channel: res[1],
@@ -323,13 +703,143 @@ class TeamSpeak3 extends EventEmitter {
      * @property {class} cid - The Channel ID which has been deleted
      */
     _evchanneldeleted() {
-        this.getClientByID(arguments[0].invokerid)
+        this._getEventClient(arguments[0].invokerid)
         .then(client => {
             this.emit("channeldelete", {invoker: client, cid: arguments[0].cid})
         }).catch(e => this.emit("error", e))
     }
 
 
+    /**
+     * Client Poke Event
+     * Gets fired when a Client pokes the Query Client
+     *
+     * @event TeamSpeak3#clientpoke
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {TeamSpeakClient} invoker - The Client which sent the poke
+     * @property {string} msg - The poke message
+     */
+    _evclientpoke() {
+        var args = arguments[0]
+        this._getEventClient(args.invokerid)
+        .then(client => {
+            this.emit("clientpoke", {invoker: client, msg: args.msg})
+        }).catch(e => this.emit("error", e))
+    }
+
+
+    /**
+     * Token Used Event
+     *
+     * @event TeamSpeak3#tokenused
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {TeamSpeakClient} client - The Client which used the token
+     * @property {string} token - The token which has been used
+     * @property {string} tokencustomset - The custom client properties which have been set by the token
+     * @property {object} customset - The custom client properties as Map of ident to value
+     * @property {(TeamSpeakServerGroup|TeamSpeakChannelGroup)} group - The group the Client has been assigned to
+     * @property {TeamSpeakChannel} [channel] - The Channel of the channel group
+     * @property {string} [description] - The Description of the token, only available for tokens which have been created or listed by tokenCreate or tokenList
+     * @property {any} [meta] - The Metadata of the token, only available for tokens which have been created or listed by tokenCreate or tokenList
+     * @property {number} [expires] - The unix timestamp when the token expires, only available for tokens which have been created or listed by tokenCreate or tokenList
+     * @property {boolean} [expired] - Whether the token had already expired when it got used
+     */
+    _evtokenused() {
+        var args = arguments[0]
+        var isChannelToken = args.token2 > 0
+        var info = this._tokens.lookup(args.token) || {}
+        this._tokens.forget(args.token)
+        Promise.all([
+            this._getEventClient(args.clid),
+            isChannelToken ? this.getChannelGroupByID(args.token1) : this.getServerGroupByID(args.token1),
+            isChannelToken ? this._getEventChannel(args.token2) : undefined
+        ]).then(res => {
+            this.emit("tokenused", {
+                client: res[0],
+                token: args.token,
+                tokencustomset: args.tokencustomset,
+                customset: TokenManager.decodeCustomSet(args.tokencustomset),
+                group: res[1],
+                channel: res[2],
+                description: info.description,
+                meta: info.meta,
+                expires: info.expires,
+                expired: Boolean(info.expires) && info.expires <= Math.floor(Date.now() / 1000)
+            })
+        }).catch(e => this.emit("error", e))
+    }
+
+
+    /**
+     * Channel Description Change Event
+     *
+     * @event TeamSpeak3#channeldescriptionchange
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {TeamSpeakChannel} channel - The Channel which description has been changed
+     */
+    _evchanneldescriptionchanged() {
+        this._getEventChannel(arguments[0].cid)
+        .then(channel => {
+            this.emit("channeldescriptionchange", {channel: channel})
+        }).catch(e => this.emit("error", e))
+    }
+
+
+    /**
+     * Channel Password Change Event
+     *
+     * @event TeamSpeak3#channelpasswordchange
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {TeamSpeakChannel} channel - The Channel which password has been changed
+     */
+    _evchannelpasswordchanged() {
+        this._getEventChannel(arguments[0].cid)
+        .then(channel => {
+            this.emit("channelpasswordchange", {channel: channel})
+        }).catch(e => this.emit("error", e))
+    }
+
+
+    /**
+     * TeaSpeak Music Bot Events
+     * musicplayersongchange, musicstatusupdate, playlistsongadd, playlistsongremove, playlistsongreorder and playlistsongloaded
+     * get emitted with the same name, they only get sent by TeaSpeak Servers
+     *
+     * @event TeamSpeak3#musicplayersongchange
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {TeamSpeakClient} bot - The Music Bot, resolved by its database id
+     * @property {object} event - The Data from the event
+     */
+    _evteaspeak(name, args) {
+        var bot = ("bot_id" in args) ? this.getClientByDBID(args.bot_id) : undefined
+        Promise.resolve(bot)
+        .then(bot => {
+            this.emit(name, {bot: bot, event: args})
+        }).catch(e => this.emit("error", e))
+    }
+
+
+    /**
+     * Raw Event
+     * Gets fired for every Event which is not handled by any other Event
+     *
+     * @event TeamSpeak3#raw
+     * @memberof TeamSpeak3
+     * @type {object}
+     * @property {string} name - The name of the Event without the notify prefix
+     * @property {object} event - The Data from the event
+     */
+    _evraw(name, args) {
+        if (this._ts3.listenerCount(name) > 0) return
+        this.emit("raw", {name: name, event: args})
+    }
+
+
     /**
      * Sends a command to the TeamSpeak Server.
      * @version 1.0
@@ -337,15 +847,107 @@ class TeamSpeak3 extends EventEmitter {
      * @param {string} Command - The Command which should get executed on the TeamSpeak Server
      * @param {object} [Object] - Optional the Parameters
      * @param {object} [Array] - Optional Flagwords
+     * @param {object[]} [Rows] - Optional multiple rows of Parameters which get separated by a pipe
+     * @param {string} [Raw] - Optional String which gets appended to the Command without escaping
      * @returns {Promise<object>} Promise object which returns the Information about the Query executed
      */
     execute() {
-        return this._ts3.execute(...arguments)
+        return this._getQuery(arguments).executeWith(this._options, ...arguments)
+    }
+
+
+    /**
+     * Returns a view of this Instance on which every command gets sent with the given options.
+     * All methods of the Instance are available on the returned Object.
+     * @version 1.10
+     * @param {object} options - The Options for every command
+     * @param {number} [options.timeout] - Overrides the default timeout for the commands (in ms), 0 disables it
+     * @param {object} [options.signal] - An AbortSignal which removes the commands from the queue as long as they have not been sent yet
+     * @param {string} [options.priority] - The priority lane of the commands ("high", "normal" or "background")
+     * @returns {TeamSpeak3}
+     * @example ts3.withOptions({priority: "background", timeout: 2000}).clientDBList().then(...)
+     */
+    withOptions(options) {
+        var view = Object.create(this)
+        view._options = Object.assign({}, this._options, options)
+        view._handles = {}
+        return view
+    }
+
+
+    /**
+     * Sends all commands which get issued inside the callback in a row without waiting for the previous responses.
+     * The callback receives a view of this Instance on which all methods are available,
+     * commands which get issued after the callback returned (for example inside a then) get sent normally.
+     * @version 1.10
+     * @async
+     * @param {function} fn - Gets called with the batch view, may return an Array of Promises which should get settled
+     * @returns {Promise.<object[]>} resolves with an Object for every Command (or every returned Promise) like Promise.allSettled
+     * @example ts3.batch(b => clids.map(clid => b.clientInfo(clid))).then(results => ...)
+     */
+    batch(fn) {
+        var entries = []
+        var view = Object.create(this)
+        view.execute = function() {
+            if (!entries) return Object.getPrototypeOf(view).execute.apply(this, arguments)
+            var entry = {args: arguments}
+            entry.promise = new Promise((fulfill, reject) => {
+                entry.fulfill = fulfill
+                entry.reject = reject
+            })
+            entries.push(entry)
+            return entry.promise
+        }
+        var promises = fn(view)
+        var batch = entries
+        entries = false
+        if (batch.length > 0) {
+            //read-only batches may get sent on a different session, everything else stays on one connection
+            var query = this._getQuery(batch[0].args)
+            if (batch.some(entry => this._getQuery(entry.args) !== query)) query = this._ts3
+            query.executeBatch(this._options, batch.map(entry => entry.args))
+                .forEach((p, i) => p.then(batch[i].fulfill, batch[i].reject))
+        }
+        if (!Array.isArray(promises)) promises = batch.map(entry => entry.promise)
+        return Promise.all(promises.map(p => {
+            return Promise.resolve(p).then(
+                value => ({status: "fulfilled", value: value}),
+                reason => ({status: "rejected", reason: reason})
+            )
+        }))
+    }
+
+
+    /**
+     * Returns a handle for the virtual server with the given sid.
+     * Every command of the handle selects this virtual server before it gets executed and the previously selected server afterwards,
+     * after switching back the nickname and the event subscriptions of the session get restored.
+     * Clients, Channels and Groups get cached separately for every virtual server.
+     * All methods of the Instance are available on the returned Object.
+     * @version 1.10
+     * @param {number} sid - The Server ID
+     * @returns {TeamSpeak3}
+     * @example ts3.server(2).clientList().then(...)
+     */
+    server(sid) {
+        sid = parseInt(sid)
+        if (sid in this._handles) return this._handles[sid]
+        var handle = Object.create(this)
+        handle._options = Object.assign({}, this._options, {sid: sid})
+        handle._clients = {}
+        handle._channels = {}
+        handle._servergroups = {}
+        handle._channelgroups = {}
+        handle._bans = {}
+        handle._messages = {}
+        this._handles[sid] = handle
+        return handle
     }
 
 
     /**
      * Change your ServerQuery clients settings using given properties.
+     * The nickname only gets restored after a reconnect or a server switch when it has been set on the selected virtual server
      * @version 1.0
      * @async
      * @param {string} properties - The Properties which should be changed
@@ -353,11 +955,19 @@ class TeamSpeak3 extends EventEmitter {
      */
     clientUpdate(properties) {
         return this.execute("clientupdate", properties)
+            .then(res => {
+                if ("client_nickname" in properties && this._options.sid === undefined) {
+                    this._context.nickname = properties.client_nickname
+                    this._ts3.homeNickname(properties.client_nickname)
+                }
+                return res
+            })
     }
 
 
     /**
      * Subscribes to an Event.
+     * Only Subscriptions on the selected virtual server get restored after a reconnect or a server switch
      * @version 1.0
      * @async
      * @param {string} event - The Event on which should be subscribed
@@ -367,7 +977,76 @@ class TeamSpeak3 extends EventEmitter {
     registerEvent(event, id = false) {
         var arg = {event: event}
         if (id !== false) arg.id = id
-        return this.execute("servernotifyregister", arg)
+        return this.execute("servernotifyregister", Object.assign({}, arg))
+            .then(res => {
+                if (this._options.sid !== undefined) return res
+                if (!this._context.events.some(ev => TeamSpeak3._isSameSubscription(ev, arg)))
+                    this._context.events.push(arg)
+                return res
+            })
+    }
+
+
+    /**
+     * Subscribes to all Events which are available
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    registerAll() {
+        var subs = []
+        Object.keys(EVENT_SUBSCRIPTIONS).forEach(name => {
+            EVENT_SUBSCRIPTIONS[name].forEach(sub => {
+                if (!subs.some(s => TeamSpeak3._isSameSubscription(s, sub))) subs.push(sub)
+            })
+        })
+        return Promise.all(subs.map(sub => this.registerEvent(sub.event, ("id" in sub) ? sub.id : false)))
+    }
+
+
+    /**
+     * Unsubscribes from all Events
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    unregister() {
+        return this.execute("servernotifyunregister")
+            .then(res => {
+                this._context.events.splice(0, this._context.events.length)
+                return res
+            })
+    }
+
+
+    /**
+     * Retrieves all Events which are currently subscribed
+     * @version 1.10
+     * @returns {object[]} List of Subscriptions with the event name and the optional Channel ID
+     */
+    getSubscriptions() {
+        return this._context.events.map(ev => Object.assign({}, ev))
+    }
+
+
+    /**
+     * Retrieves the Subscriptions of the automatic registration which have not been sent yet or have failed
+     * @version 1.10
+     * @returns {object[]} List of Subscriptions with the event name and the optional Channel ID
+     */
+    getPendingSubscriptions() {
+        return this._pendingEvents.map(ev => Object.assign({}, ev))
+    }
+
+
+    /**
+     * Sends the pending Subscriptions of the automatic registration again
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>} Rejects with the error of the first Subscription which failed again
+     */
+    registerPending() {
+        return Promise.all(this._pendingEvents.slice().map(sub => this._registerPending(sub)))
     }
 
 
@@ -381,6 +1060,10 @@ class TeamSpeak3 extends EventEmitter {
      */
     login(username, password) {
         return this.execute("login", [username, password])
+            .then(res => {
+                this._context.login = {username: username, password: password}
+                return res
+            })
     }
 
 
@@ -392,6 +1075,11 @@ class TeamSpeak3 extends EventEmitter {
      */
     logout() {
         return this._cacheCleanUp(this.execute("logout"))
+            .then(res => {
+                this._context.login = false
+                this._context.selected = false
+                return res
+            })
     }
 
 
@@ -460,6 +1148,17 @@ class TeamSpeak3 extends EventEmitter {
      */
     useByPort(port) {
         return this._cacheCleanUp(this.execute("use", {port: port}))
+            .then(res => {
+                this._context.selected = {port: port}
+                this._messagePoller.reset()
+                this._complaints.reset()
+                if (this._logTail) this._logTail.reset()
+                if (this._liveState)
+                    this._liveState.seed().catch(e => this._emitError(e))
+                if (this._config.floodcontrol)
+                    this.syncFloodControl().catch(e => this._emitError(e))
+                return res
+            })
     }
 
 
@@ -472,6 +1171,17 @@ class TeamSpeak3 extends EventEmitter {
      */
     useBySid(sid) {
         return this._cacheCleanUp(this.execute("use", [sid]))
+            .then(res => {
+                this._context.selected = [sid]
+                this._messagePoller.reset()
+                this._complaints.reset()
+                if (this._logTail) this._logTail.reset()
+                if (this._liveState)
+                    this._liveState.seed().catch(e => this._emitError(e))
+                if (this._config.floodcontrol)
+                    this.syncFloodControl().catch(e => this._emitError(e))
+                return res
+            })
     }
 
 
@@ -497,6 +1207,38 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Enables the Live State of the selected virtual server
+     * The State gets seeded from the list commands and is kept up to date from the notifications
+     * so the Channel Tree and the Clients can be read synchronously afterwards
+     * @version 1.10
+     * @async
+     * @returns {Promise.<LiveState>}
+     */
+    liveState() {
+        if (!this._liveState) this._liveState = new LiveState(this)
+        return this._liveState.ready()
+    }
+
+
+    /**
+     * Reads the antiflood settings of the selected virtual server and applies them to the flood control
+     * @version 1.10
+     * @async
+     * @returns {Promise.<FloodControl>}
+     */
+    syncFloodControl() {
+        return this.serverInfo()
+            .then(info => {
+                var flood = this._ts3.getFloodControl() || this._ts3.floodControl()
+                return flood.setLimits({
+                    tickReduce: info.virtualserver_antiflood_points_tick_reduce,
+                    commandBlock: info.virtualserver_antiflood_points_needed_command_block
+                })
+            })
+    }
+
+
     /**
      * Displays the database ID of the virtual server running on the UDP port
      * @version 1.0
@@ -555,7 +1297,7 @@ class TeamSpeak3 extends EventEmitter {
         var token = ""
         return this.execute("servercreate", properties)
         .then(res => {
-            //token = r.token
+            token = res.token
             return this.serverList({virtualserver_id: res.sid})
         }).then(server => {
             return new Promise(fulfill => fulfill({server: server[0], token: token}))
@@ -600,6 +1342,89 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Creates a Snapshot of the selected virtual server
+     * The Snapshot contains the Data which gets returned by the Server (snapshot) which is needed to deploy it
+     * and the parsed Configuration of the server, its Channels, Server Groups and Channel Groups with their Permissions
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} Object with version, created, snapshot, server, channels, servergroups and channelgroups
+     */
+    snapshotCreate() {
+        return Promise.all([
+            this.withOptions({raw: true}).execute("serversnapshotcreate"),
+            new ServerExport(this).export()
+        ]).then(res => {
+            if (!res[0]) throw new Error("The Server returned an empty Snapshot")
+            return Object.assign(res[1], {snapshot: res[0]})
+        })
+    }
+
+
+    /**
+     * Restores the selected virtual server from a Snapshot
+     * @version 1.10
+     * @async
+     * @param {(object|string)} snapshot - The Snapshot which has been created by snapshotCreate or the Data which has been returned by the Server
+     * @returns {Promise.<object>}
+     */
+    snapshotDeploy(snapshot) {
+        if (snapshot !== null && typeof snapshot === "object") {
+            if (!ServerExport.isSupported(snapshot))
+                return Promise.reject(new Error("Unsupported Snapshot Version "+snapshot.version+" given!"))
+            snapshot = snapshot.snapshot
+        }
+        if (typeof snapshot !== "string" || snapshot.length === 0)
+            return Promise.reject(new Error("Invalid Snapshot given!"))
+        return this.execute("serversnapshotdeploy", snapshot)
+    }
+
+
+    /**
+     * Exports the Configuration of the selected virtual server as JSON serializable object
+     * which contains the server settings, the Channels, the Server Groups and the Channel Groups with their Permissions
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} Object with version, created, server, channels, servergroups and channelgroups
+     */
+    serverExport() {
+        return new ServerExport(this).export()
+    }
+
+
+    /**
+     * Recreates an exported Configuration on the selected or on a new virtual server
+     * Groups get matched by their name and type, missing Groups get created and get the exported Permissions,
+     * Channels get applied as Channel Layout, see applyChannelLayout
+     * @version 1.10
+     * @async
+     * @param {object} data - The Configuration which has been created by serverExport or snapshotCreate
+     * @param {object} [options] - The Options
+     * @param {boolean} [options.create=false] - Whether a new virtual server should get created and selected
+     * @param {object} [options.properties] - Server Settings which overwrite the exported ones, for example virtualserver_port
+     * @param {boolean} [options.deleteUnknown=false] - Whether Channels which are not in the Configuration should get deleted
+     * @returns {Promise.<object>} Object with the mapping of the old to the new IDs (servergroups, channelgroups and channels),
+     *          the applied Channel Layout Steps (steps) and the created server and its token when create has been set
+     */
+    serverImport(data, options = {}) {
+        return new ServerExport(this).import(data, options)
+    }
+
+
+    /**
+     * Compares two Snapshots and retrieves the server settings, Channels, Server Groups and Channel Groups which changed
+     * Channels get matched by their Path of Channel Names, Groups by their name and type
+     * @version 1.10
+     * @param {object} from - The older Snapshot
+     * @param {object} to - The newer Snapshot
+     * @returns {object} Object with server (changed settings with from and to) and channels, servergroups and channelgroups
+     *          which contain the added, removed and changed entries, a changed entry contains its changed properties and permissions
+     */
+    snapshotDiff(from, to) {
+        return diffSnapshots(from, to)
+    }
+
+
     /**
      * Creates a new server group using the name specified with name. The optional type parameter can be used to create ServerQuery groups and template groups.
      * @version 1.0
@@ -630,6 +1455,18 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Displays all server groups the client specified with cldbid is currently residing in.
+     * @version 1.10
+     * @async
+     * @param {number} cldbid - The Client Database ID
+     * @returns {Promise.<object[]>}
+     */
+    serverGroupsByClientId(cldbid) {
+        return this.execute("servergroupsbyclientid", {cldbid: cldbid}).then(this.toArray)
+    }
+
+
     /**
      * Adds the client to the server group specified with sgid. Please note that a client cannot be added to default groups or template groups.
      * @version 1.0
@@ -717,20 +1554,17 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} sgid - the ServerGroup id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - Value of the Permission
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
-     * @param {number} [skip=0] - Whether the skip flag should be set
-     * @param {number} [negate=0] - Whether the negate flag should be set
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - Value of the Permission, an Array sets a different Value for every Permission
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
+     * @param {(number|number[])} [skip=0] - Whether the skip flag should be set
+     * @param {(number|number[])} [negate=0] - Whether the negate flag should be set
      * @returns {Promise.<object>}
      */
     serverGroupAddPerm(sgid, perm, value, permsid = false, skip = 0, negate = 0) {
-        var prop = {sgid: sgid}
-        prop[(permsid) ? "permsid": "permid"] = perm
-        prop.permvalue = value
-        prop.permskip = skip
-        prop.permnegated = negate
-        return this.execute("servergroupaddperm", prop)
+        var columns = {permvalue: value, permskip: skip, permnegated: negate}
+        return this._resolvePermRows(perm, permsid, columns)
+            .then(rows => this.execute("servergroupaddperm", {sgid: sgid}, rows))
     }
 
 
@@ -739,14 +1573,13 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} sgid - the ServerGroup id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
      * @returns {Promise.<object>}
      */
     serverGroupDelPerm(sgid, perm, permsid = false) {
-        var prop = {sgid: sgid}
-        prop[(permsid) ? "permsid" : "permid"] = perm
-        return this.execute("servergroupdelperm", prop)
+        return this._resolvePermRows(perm, permsid)
+            .then(rows => this.execute("servergroupdelperm", {sgid: sgid}, rows))
     }
 
 
@@ -885,21 +1718,33 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Displays a list of permissions defined for a client in a specific channel.
+     * @version 1.10
+     * @async
+     * @param {number} cid - the channel id
+     * @param {number} cldbid - the client database id
+     * @param {boolean} [permsid=false] - Whether the Perm SID should be displayed aswell
+     * @return {Promise.<object[]>}
+     */
+    channelClientPermList(cid, cldbid, permsid = false) {
+        return this.execute("channelclientpermlist", {cid: cid, cldbid: cldbid}, (permsid) ? ["-permsid"] : []).then(this.toArray)
+    }
+
+
     /**
      * Adds a set of specified permissions to a channel. Multiple permissions can be added by providing the two parameters of each permission. A permission can be specified by permid or permsid.
      * @version 1.0
      * @async
      * @param {number} cid - the channel id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - The Value which should be set
-     * @param {boolean} sid - If the given Perm is a permsid
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - The Value which should be set, an Array sets a different Value for every Permission
+     * @param {boolean} sid - If the given Perm is a permsid, Permission Names get detected automatically
      * @return {Promise.<object>}
      */
     channelSetPerm(cid, perm, value, sid = false) {
-        var prop = {cid: cid}
-        prop[(sid) ? "permsid" : "permid"] = perm
-        prop.permvalue = value
-        return this.execute("channeladdperm", prop)
+        return this._resolvePermRows(perm, sid, {permvalue: value})
+            .then(rows => this.execute("channeladdperm", {cid: cid}, rows))
     }
 
 
@@ -908,14 +1753,33 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} cid - the channel id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {boolean} sid - If the given Perm is a permsid
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} sid - If the given Perm is a permsid, Permission Names get detected automatically
      * @return {Promise.<object>}
      */
     channelDelPerm(cid, perm, sid = false) {
-        var prop = {cid: cid}
-        prop[(sid) ? "permsid" : "permid"] = perm
-        return this.execute("channeldelperm", prop)
+        return this._resolvePermRows(perm, sid)
+            .then(rows => this.execute("channeldelperm", {cid: cid}, rows))
+    }
+
+
+    /**
+     * Applies a Channel Layout to the selected virtual server
+     * The Layout is a List of Channel Nodes in the order they should be displayed, every Node has a name
+     * and optionally properties, permissions (permsid => value, null removes the permission) and children
+     * Existing Channels get matched by their name below the same Parent Channel
+     * @version 1.10
+     * @async
+     * @param {object[]} spec - The Channel Nodes on the top level
+     * @param {object} [options] - The Options
+     * @param {boolean} [options.dryRun=false] - Whether only the Plan should be returned without applying it
+     * @param {boolean} [options.deleteUnknown=false] - Whether Channels which are not in the Layout should get deleted
+     * @return {Promise.<object[]>} The Steps of the Plan (create, edit, move, perm, delperm and delete)
+     */
+    applyChannelLayout(spec, options = {}) {
+        var layout = new ChannelLayout(this, spec, options)
+        return layout.plan()
+            .then(steps => (options.dryRun) ? steps : layout.apply(steps))
     }
 
 
@@ -1009,6 +1873,30 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Iterates over the Clients Database page by page
+     * @version 1.10
+     * @param {object} [options] - The Options
+     * @param {number} [options.pageSize=100] - The amount of Clients which get requested at once
+     * @param {number} [options.start=0] - Start Offset
+     * @returns {ListIterator} Async Iterator which returns the TeamSpeak Database Clients
+     * @example for await (const entry of ts3.clientDBIterate({pageSize: 200})) console.log(entry.getCache().client_nickname)
+     */
+    clientDBIterate(options = {}) {
+        var pageSize = options.pageSize || 100
+        return new ListIterator(start => {
+            if (start === undefined) start = options.start || 0
+            return this._toList(this.execute("clientdblist", {start: start, duration: pageSize}))
+                .then(entries => {
+                    return {
+                        entries: entries.map(c => new TeamSpeakDatabaseClient(this, c)),
+                        next: (entries.length < pageSize) ? null : start + pageSize
+                    }
+                })
+        })
+    }
+
+
     /**
      * Returns the Clients Database Info
      * @version 1.0
@@ -1025,13 +1913,15 @@ class TeamSpeak3 extends EventEmitter {
      * Kicks the Client from the Server
      * @version 1.0
      * @async
-     * @param {number} clid - the client id
+     * @param {(number|number[])} clid - the client id, multiple Clients can be given as an Array
      * @param {number} reasonid - the reasonid
      * @param {string} msg - The Message the Client should receive when getting kicked
      * @returns {Promise.<object>} Promise Object
      */
     clientKick(clid, reasonid, msg) {
-        return this.execute("clientkick", {clid: clid, reasonid: reasonid, reasonmsg: msg})
+        return this.execute("clientkick", {reasonid: reasonid, reasonmsg: msg}, [].concat(clid).map(clid => {
+            return {clid: clid}
+        }))
     }
 
 
@@ -1039,13 +1929,15 @@ class TeamSpeak3 extends EventEmitter {
      * Moves the Client to a different Channel
      * @version 1.0
      * @async
-     * @param {number} clid - the client id
+     * @param {(number|number[])} clid - the client id, multiple Clients can be given as an Array
      * @param {number} cid - Channel ID in which the Client should get moved
      * @param {string} [cpw=""] - The Channel Password
      * @returns {Promise.<object>} Promise Object
      */
     clientMove(clid, cid, cpw = "") {
-        return this.execute("clientmove", {clid: clid, cid: cid, cpw:cpw})
+        return this.execute("clientmove", {cid: cid, cpw: cpw}, [].concat(clid).map(clid => {
+            return {clid: clid}
+        }))
     }
 
 
@@ -1080,20 +1972,17 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} dbid - the client database id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - Value of the Permission
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
-     * @param {number} [skip=0] - Whether the skip flag should be set
-     * @param {number} [negate=0] - Whether the negate flag should be set
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - Value of the Permission, an Array sets a different Value for every Permission
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
+     * @param {(number|number[])} [skip=0] - Whether the skip flag should be set
+     * @param {(number|number[])} [negate=0] - Whether the negate flag should be set
      * @return {Promise.<object>}
      */
     clientAddPerm(dbid, perm, value, permsid = false, skip = 0, negate = 0) {
-        var prop = {cldbid: dbid}
-        prop[(permsid) ? "permsid": "permid"] = perm
-        prop.permvalue = value
-        prop.permskip = skip
-        prop.permnegated = negate
-        return this.execute("clientaddperm", prop)
+        var columns = {permvalue: value, permskip: skip, permnegated: negate}
+        return this._resolvePermRows(perm, permsid, columns)
+            .then(rows => this.execute("clientaddperm", {cldbid: dbid}, rows))
     }
 
 
@@ -1102,14 +1991,13 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} dbid - the client database id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
      * @return {Promise.<object>}
      */
     clientDelPerm(dbid, perm, permsid = false) {
-        var prop = {cldbid: dbid}
-        prop[(permsid) ? "permsid" : "permid"] = perm
-        return this.execute("clientdelperm", prop)
+        return this._resolvePermRows(perm, permsid)
+            .then(rows => this.execute("clientdelperm", {cldbid: dbid}, rows))
     }
 
 
@@ -1323,20 +2211,17 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} cgid - the ChannelGroup id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - Value of the Permission
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
-     * @param {number} [skip=0] - Whether the skip flag should be set
-     * @param {number} [negate=0] - Whether the negate flag should be set
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - Value of the Permission, an Array sets a different Value for every Permission
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
+     * @param {(number|number[])} [skip=0] - Whether the skip flag should be set
+     * @param {(number|number[])} [negate=0] - Whether the negate flag should be set
      * @return {Promise.<object>}
      */
     channelGroupAddPerm(cgid, perm, value, permsid = false, skip = 0, negate = 0) {
-        var prop = {cgid: cgid}
-        prop[(permsid) ? "permsid": "permid"] = perm
-        prop.permvalue = value
-        prop.permskip = skip
-        prop.permnegated = negate
-        return this.execute("channelgroupaddperm", prop)
+        var columns = {permvalue: value, permskip: skip, permnegated: negate}
+        return this._resolvePermRows(perm, permsid, columns)
+            .then(rows => this.execute("channelgroupaddperm", {cgid: cgid}, rows))
     }
 
 
@@ -1345,14 +2230,13 @@ class TeamSpeak3 extends EventEmitter {
      * @version 1.0
      * @async
      * @param {number} cgid - the ChannelGroup id
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} [permsid=false] - Whether a permsid should be used, Permission Names get detected automatically
      * @return {Promise.<object>}
      */
     channelGroupDelPerm(cgid, perm, permsid = false) {
-        var prop = {cgid: cgid}
-        prop[(permsid) ? "permsid" : "permid"] = perm
-        return this.execute("channelgroupdelperm", prop)
+        return this._resolvePermRows(perm, permsid)
+            .then(rows => this.execute("channelgroupdelperm", {cgid: cgid}, rows))
     }
 
 
@@ -1360,13 +2244,16 @@ class TeamSpeak3 extends EventEmitter {
      * Displays the IDs of all clients currently residing in the channel group.
      * @version 1.0
      * @async
-     * @param {number} cgid - the ChannelGroup id
+     * @param {number} [cgid] - the ChannelGroup id, null lists all Channel Groups
      * @param {number} [cid] - The Channel ID
+     * @param {number} [cldbid] - The Client Database ID
      * @return {Promise.<TeamSpeakClient>}
      */
-    channelGroupClientList(cgid, cid) {
-        var prop = {cgid: cgid}
+    channelGroupClientList(cgid, cid, cldbid) {
+        var prop = {}
+        if (cgid !== null && cgid !== undefined) prop.cgid = cgid
         if (typeof cid == "number") prop.cid = cid
+        if (typeof cldbid == "number") prop.cldbid = cldbid
         return this.execute("channelgroupclientlist", prop)
     }
 
@@ -1399,6 +2286,39 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Calculates the effective Permissions of a Client in a Channel
+     * Combines the Server Group, Client, Channel, Channel Group and Channel Client Permissions with the skip and negate flags
+     * @version 1.10
+     * @async
+     * @param {(TeamSpeakClient|number)} client - The Client or its Database ID
+     * @param {(TeamSpeakChannel|number)} [channel] - The Channel or its ID, defaults to the current Channel of the Client
+     * @returns {Promise.<object>} Map of permsid to an object with the value, the layer which decided it (servergroup,
+     *          client, channel, channelgroup or channelclient) and the id of the Group, Client or Channel of that layer
+     */
+    getEffectivePermissions(client, channel) {
+        var cldbid = (typeof client === "number") ? client : client.getCache().client_database_id
+        var cid = (typeof channel === "number") ? channel
+            : (channel) ? channel.getCache().cid
+            : (typeof client === "object") ? client.getCache().cid : undefined
+        if (typeof cid !== "number")
+            return Promise.reject(new Error("No Channel given for the effective Permissions"))
+        return new EffectivePermissions(this, cldbid, cid).calculate()
+    }
+
+
+    /**
+     * Loads the Permission Catalog which resolves Permission Names and IDs and validates Permission Values
+     * The Catalog gets loaded once per connection
+     * @version 1.10
+     * @async
+     * @returns {Promise.<PermissionCatalog>}
+     */
+    permissionCatalog() {
+        return this._permissions.load(this)
+    }
+
+
     /**
      * Retrieves the database ID of one or more permissions specified by permsid.
      * @version 1.0
@@ -1456,6 +2376,23 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Synchronizes the Permissions of a Server Group, Channel Group, Channel or Client with a desired Permission Map
+     * Only the Permissions which differ get added, Permissions which are not in the Map get removed
+     * All changes get sent as one multi row add and one multi row delete command
+     * @version 1.10
+     * @async
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|TeamSpeakChannel|TeamSpeakClient|object)} target - The Target
+     *        or an object with one of the keys sgid, cgid, cid or cldbid
+     * @param {object} desired - Map of permsid to the value or to an object with value, skip and negate
+     * @returns {Promise.<object>} Object with the rows which have been added (add) and the permsids which have been removed (del)
+     */
+    syncPermissions(target, desired) {
+        return new Promise(fulfill => fulfill(new PermissionSync(this, target)))
+            .then(sync => sync.sync(desired))
+    }
+
+
     /**
      * Retrieves a list of privilege keys available including their type and group IDs.
      * @version 1.0
@@ -1475,12 +2412,14 @@ class TeamSpeak3 extends EventEmitter {
      * @param {number} group - Depends on the Type given, add either a valid Channel Group or Server Group
      * @param {number} [cid] - Depends on the Type given, add a valid Channel ID
      * @param {string} [description] - Token Description
+     * @param {string} [customset] - Custom client properties which get set when the token gets used, formatted as "ident=name value=value|ident=..."
      * @returns {Promise.<object>}
      */
-    privilegekeyAdd(type, group, cid, description) {
+    privilegekeyAdd(type, group, cid, description, customset) {
         var prop = {tokentype: type, tokenid1: group, tokenid2: 0}
         if (type === 1) prop.tokenid2 = cid
-        if (description) prop.description = description
+        if (description) prop.tokendescription = description
+        if (customset) prop.tokencustomset = customset
         return this.execute("privilegekeyadd", prop)
     }
 
@@ -1509,14 +2448,67 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Creates one or more tokens with an optional expiry date and metadata which get stored in the token description
+     * @version 1.10
+     * @async
+     * @param {object} options - The Options
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|number)} options.group - The Group the token grants
+     * @param {(TeamSpeakChannel|number)} [options.channel] - The Channel of a Channel Group token, a Channel Group token gets created when it is set
+     * @param {string} [options.description] - The Description of the token
+     * @param {(object|string)} [options.customset] - Map of custom client properties (ident => value) which get set when the token gets used
+     * @param {number} [options.ttl] - Time in seconds after which the token expires, expired tokens get deleted by tokenRevokeExpired
+     * @param {object} [options.meta] - JSON serializable Metadata which gets stored with the token
+     * @param {number} [options.count=1] - The amount of tokens which should get created
+     * @returns {Promise.<object[]>} The created tokens
+     */
+    tokenCreate(options) {
+        return this._tokens.create(options)
+    }
+
+
+    /**
+     * Retrieves all tokens with their Group, Channel, Description, Metadata and expiry date
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    tokenList() {
+        return this._tokens.list()
+    }
+
+
+    /**
+     * Deletes all tokens which have been created with a ttl and have expired
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>} The tokens which have been deleted
+     */
+    tokenRevokeExpired() {
+        return this._tokens.revokeExpired()
+    }
+
+
     /**
      * Displays a list of offline messages you've received. The output contains the senders unique identifier, the messages subject, etc.
      * @version 1.0
      * @async
-     * @returns {Promise.<object>}
+     * @param {object} [filter] - Filter Object
+     * @returns {Promise.<TeamSpeakMessage[]>} Promise object which returns an Array of TeamSpeak Messages
      */
-    messageList() {
-        return this.execute("messagelist")
+    messageList(filter = {}) {
+        return this.execute(
+            "messagelist"
+        ).catch(e => {
+            if (e.id === EMPTY_RESULT) return []
+            throw e
+        }).then(messages => {
+            return this._handleCache(this._messages, messages, "msgid", TeamSpeakMessage)
+        }).then(messages => {
+            return this.constructor._filter(messages, filter)
+        }).then(messages => {
+            return messages.map(m => this._messages[m.msgid])
+        })
     }
 
 
@@ -1559,15 +2551,15 @@ class TeamSpeak3 extends EventEmitter {
 
 
     /**
-     * Displays an existing offline message with the given id from the inbox.
+     * Updates the read flag of an existing offline message with the given id from the inbox.
      * @version 1.0
      * @async
-     * @param {number} id - Gets the content of the Message
-     * @param {number} read - If flag is set to 1 the message will be marked as read
+     * @param {number} id - The Message ID
+     * @param {number} [read=1] - If flag is set to 1 the message will be marked as read, 0 marks it as unread
      * @returns {Promise.<object>}
      */
-    messageUpdate(id, read) {
-        return this.execute("messageupdateflag", {msgid: id, flag: flag})
+    messageUpdate(id, read = 1) {
+        return this.execute("messageupdateflag", {msgid: id, flag: read})
     }
 
 
@@ -1579,7 +2571,35 @@ class TeamSpeak3 extends EventEmitter {
      * @returns {Promise.<object>}
      */
     complainList(dbid) {
-        return this.execute("complainlist", (typeof dbid === "number") ? {cldbid: dbid} : null)
+        return this.execute("complainlist", (typeof dbid === "number") ? {tcldbid: dbid} : null)
+    }
+
+
+    /**
+     * Iterates over the complaints on the selected virtual server.
+     * The Server provides no paging for the complaint list, the whole list gets retrieved with the first entry
+     * @version 1.10
+     * @param {number} [dbid] - Filter only for certain Client with the given Database ID
+     * @returns {ListIterator} Async Iterator which returns the TeamSpeak Complaints
+     */
+    complainListIterate(dbid) {
+        return new ListIterator(() => {
+            return this._toList(this.complainList(dbid)).then(complaints => {
+                return {entries: complaints.map(c => new TeamSpeakComplaint(this, c)), next: null}
+            })
+        })
+    }
+
+
+    /**
+     * Retrieves the complaints grouped per targeted client, both the targeted clients and the clients which filed the complaints get resolved to their database entries
+     * @version 1.10
+     * @async
+     * @param {number} [dbid] - Filter only for certain Client with the given Database ID
+     * @returns {Promise.<object[]>} List of objects with tcldbid, tname, target, count and complaints (fcldbid, fname, source, message and timestamp)
+     */
+    complainListByTarget(dbid) {
+        return this._complaints.list(dbid)
     }
 
 
@@ -1607,7 +2627,7 @@ class TeamSpeak3 extends EventEmitter {
     complainDel(tdbid, fdbid = false) {
         var cmd = (fdbid === false) ? "complaindelall" : "complaindel"
         var prop = {tcldbid: tdbid}
-        if (fdbid === false) prop.fcldbid = fdbid
+        if (fdbid !== false) prop.fcldbid = fdbid
         return this.execute(cmd, prop)
     }
 
@@ -1616,10 +2636,38 @@ class TeamSpeak3 extends EventEmitter {
      * Displays a list of active bans on the selected virtual server.
      * @version 1.0
      * @async
-     * @returns {Promise.<object>}
+     * @param {object} [filter] - Filter Object
+     * @returns {Promise.<TeamSpeakBan[]>} Promise object which returns an Array of TeamSpeak Bans
+     */
+    banList(filter = {}) {
+        return this.execute(
+            "banlist"
+        ).catch(e => {
+            if (e.id === EMPTY_RESULT) return []
+            throw e
+        }).then(bans => {
+            return this._handleCache(this._bans, bans, "banid", TeamSpeakBan)
+        }).then(bans => {
+            return this.constructor._filter(bans, filter)
+        }).then(bans => {
+            return bans.map(b => this._bans[b.banid])
+        })
+    }
+
+
+    /**
+     * Iterates over the active bans on the selected virtual server.
+     * The Server provides no paging for the ban list, the whole list gets retrieved with the first entry
+     * @version 1.10
+     * @param {object} [filter] - Filter Object
+     * @returns {ListIterator} Async Iterator which returns the TeamSpeak Bans
      */
-    banList() {
-        return this.execute("banlist")
+    banListIterate(filter = {}) {
+        return new ListIterator(() => {
+            return this.banList(filter).then(bans => {
+                return {entries: bans, next: null}
+            })
+        })
     }
 
 
@@ -1627,7 +2675,7 @@ class TeamSpeak3 extends EventEmitter {
      * Adds a new ban rule on the selected virtual server. All parameters are optional but at least one of the following must be set: ip, name, or uid.
      * @version 1.0
      * @async
-     * @param {string} [ip] - IP Regex
+     * @param {(string|object)} [ip] - IP Regex or an object with ip, name, uid, mytsid, time and reason
      * @param {string} [name] - Name Regex
      * @param {string} [uid] - UID Regex
      * @param {number} time - Bantime in Seconds, if left empty it will result in a permaban
@@ -1635,13 +2683,75 @@ class TeamSpeak3 extends EventEmitter {
      * @returns {Promise.<object>}
      */
     banAdd(ip, name, uid, time, reason) {
+        var ban = (ip !== null && typeof ip === "object")
+            ? ip : {ip: ip, name: name, uid: uid, time: time, reason: reason}
         var props = {}
-        if (ip) props.ip = ip
-        if (name) props.name = name
-        if (uid) props.uid = uid
+        if (ban.ip) props.ip = ban.ip
+        if (ban.name) props.name = ban.name
+        if (ban.uid) props.uid = ban.uid
+        if (ban.mytsid) props.mytsid = ban.mytsid
+        if (ban.time) props.time = ban.time
+        props.banreason = ban.reason || ""
+        return this.execute("banadd", props)
+    }
+
+
+    /**
+     * Bans the Client with the given clid from the server, the ban rules get created for its ip and uid
+     * @version 1.10
+     * @async
+     * @param {number} clid - the client id
+     * @param {number} [time] - Bantime in Seconds, if left empty it will result in a permaban
+     * @param {string} [reason] - Ban Reason
+     * @returns {Promise.<object>}
+     */
+    banClient(clid, time, reason) {
+        var props = {clid: clid}
         if (time) props.time = time
         props.banreason = reason || ""
-        return this.execute("banadd", props)
+        return this.execute("banclient", props)
+    }
+
+
+    /**
+     * Exports the active bans, the export can be imported on another server with banImport
+     * @version 1.10
+     * @async
+     * @param {object} [filter] - Filter Object, see banList
+     * @returns {Promise.<object[]>} List of objects with ip, name, uid, mytsid, reason, lastnickname and the remaining time in seconds (0 for permanent bans)
+     */
+    banExport(filter = {}) {
+        return this.banList(filter).then(bans => {
+            return bans
+                .filter(ban => ban.getRemaining() > 0)
+                .map(ban => {
+                    var cache = ban.getCache()
+                    var entry = {}
+                    BAN_EXPORT_KEYS
+                        .filter(k => cache[k])
+                        .forEach(k => entry[k] = cache[k])
+                    entry.time = ban.isPermanent() ? 0 : ban.getRemaining()
+                    return entry
+                })
+        })
+    }
+
+
+    /**
+     * Adds a list of exported bans to the selected virtual server
+     * A ban which can not be added does not stop the import, it gets listed with its error instead
+     * @version 1.10
+     * @async
+     * @param {object[]} bans - The bans which have been exported by banExport
+     * @returns {Promise.<object>} Object with the added bans and their banid (added) and the bans which failed with their error (failed)
+     */
+    banImport(bans) {
+        var result = {added: [], failed: []}
+        return bans.reduce((chain, ban) => chain.then(() => {
+            return this.banAdd(ban)
+                .then(res => result.added.push({ban: ban, banid: res.banid}))
+                .catch(e => result.failed.push({ban: ban, error: e}))
+        }), Promise.resolve()).then(() => result)
     }
 
 
@@ -1675,6 +2785,54 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Iterates over the servers log from the newest to the oldest entry, every page continues at the last_pos of the previous page
+     * Every line gets parsed into timestamp, level, channel, virtualServerId and message,
+     * common entries like client connects, bans and permission changes additionally get a type and the extracted data
+     * @version 1.10
+     * @param {object} [options] - The Options
+     * @param {number} [options.pageSize=100] - The amount of lines which get requested at once (1-100)
+     * @param {number} [options.instance=0] - Instance or Virtual Server Log
+     * @returns {ListIterator} Async Iterator which returns the parsed log entries with the unparsed line
+     */
+    logViewIterate(options = {}) {
+        var pageSize = options.pageSize || 100
+        return new ListIterator(pos => {
+            var props = {lines: pageSize, reverse: 1, instance: options.instance || 0}
+            if (pos !== undefined) props.begin_pos = pos
+            return this._toList(this.execute("logview", props))
+                .then(rows => {
+                    var last = (rows.length > 0) ? rows[0].last_pos : 0
+                    return {
+                        entries: rows.filter(row => "l" in row).map(row => parseLog(row.l)),
+                        next: (last > 0 && (pos === undefined || last < pos)) ? last : null
+                    }
+                })
+        })
+    }
+
+
+    /**
+     * Polls the servers log and emits every new line as parsed logentry Event, a previously started tail gets stopped
+     * @version 1.10
+     * @param {object} [options] - The Options
+     * @param {number} [options.interval=5000] - The time between two polls (in ms)
+     * @param {number} [options.instance=0] - Instance or Virtual Server Log
+     * @param {number} [options.maxLines=1000] - The maximum amount of lines which get read per poll
+     * @returns {LogTail} The running tail, call stop() on it to stop polling
+     */
+    tailLog(options = {}) {
+        if (this._logTail) this._logTail.stop()
+        this._logTail = new LogTail(this, {
+            interval: parseInt(options.interval) || 5000,
+            instance: options.instance || 0,
+            maxLines: parseInt(options.maxLines) || 1000
+        })
+        this._logTail.start()
+        return this._logTail
+    }
+
+
     /**
      * Writes a custom entry into the servers log. Depending on your permissions, you'll be able to add entries into the server instance log and/or your virtual servers log. The loglevel parameter specifies the type of the entry
      * @version 1.0
@@ -1752,6 +2910,27 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Deletes the clients from the database which have not been connected for the given amount of days.
+     * Clients which are online, serverquery logins or in one of the excluded server groups get skipped
+     * @version 1.10
+     * @async
+     * @param {object} options - The Options
+     * @param {number} options.inactiveDays - The amount of days since the last connection after which a client gets deleted
+     * @param {Array.<(number|TeamSpeakServerGroup)>} [options.excludeGroups=[]] - The server groups which protect their clients
+     * @param {boolean} [options.dryRun=false] - Whether the clients should only be reported without deleting them
+     * @param {number} [options.pageSize=100] - The amount of database entries which get requested at once
+     * @param {boolean} [options.includeQueryClients=false] - Whether serverquery logins should get deleted as well
+     * @returns {Promise.<object>} The Report with dryRun, inactiveDays, checked (amount of database entries),
+     *          deleted (the deleted entries, or the ones which would get deleted on a dry run),
+     *          skipped (inactive entries with the reason online, query or group) and failed (entries with the error which occured while deleting)
+     */
+    pruneClientDatabase(options = {}) {
+        return new Promise(fulfill => fulfill(new DatabasePruner(this, options)))
+            .then(pruner => pruner.prune())
+    }
+
+
     /**
      * Displays a list of virtual servers including their ID, status, number of clients online, etc.
      * @version 1.0
@@ -1885,6 +3064,32 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Iterates recursively over the files and directories stored in the specified channels file repository.
+     * The entries of a directory get returned before the entries of its sub directories
+     * @version 1.10
+     * @param {number} cid - the channel id to check for
+     * @param {string} [path=/] - the path to start at
+     * @param {string} [cpw] - the channel password
+     * @returns {ListIterator} Async Iterator which returns the TeamSpeak Files, their cache holds cid, path (the directory they are in), name, size, datetime and type (0 = directory, 1 = file)
+     */
+    ftGetFileListIterate(cid, path = "/", cpw = "") {
+        return new ListIterator(dirs => {
+            dirs = (dirs === undefined) ? [path] : dirs.slice()
+            var dir = dirs.shift()
+            return this._toList(this.ftGetFileList(cid, dir, cpw))
+                .then(files => {
+                    var entries = files.map(file => new TeamSpeakFile(this, Object.assign({}, file, {cid: cid, path: dir}), cpw))
+                    var subdirs = entries
+                        .filter(file => file.isDirectory())
+                        .map(file => file.getPath())
+                    dirs = subdirs.concat(dirs)
+                    return {entries: entries, next: (dirs.length > 0) ? dirs : null}
+                })
+        })
+    }
+
+
     /**
      * Displays detailed information about one or more specified files stored in a channels file repository.
      * @version 1.6
@@ -2077,6 +3282,14 @@ class TeamSpeak3 extends EventEmitter {
      * @returns {Promise.<object>}
      */
     quit() {
+        this._quit = true
+        if (this._reconnectTimer !== null) {
+            //no connection will be opened anymore
+            clearTimeout(this._reconnectTimer)
+            this._reconnectTimer = null
+            this._close("")
+            return Promise.resolve({})
+        }
         return this.execute("quit")
     }
 
@@ -2092,10 +3305,8 @@ class TeamSpeak3 extends EventEmitter {
     _cacheCleanUp(promise) {
         return new Promise((fulfill, reject) => {
             promise.then(res => {
-                this._servergroups = []
-                this._channels = []
-                this._clients = []
-                this._channelgroups = []
+                var caches = [this._servergroups, this._channels, this._clients, this._channelgroups, this._bans, this._messages]
+                caches.forEach(cache => Object.keys(cache).forEach(k => delete cache[k]))
                 fulfill(res)
             }).catch(reject)
         })
@@ -2131,6 +3342,70 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Creates the Rows of a Permission Command and validates them with the Permission Catalog
+     * Permission IDs which should be sent as permsid get resolved to their Names
+     * When the Catalog can not be loaded the Rows get sent without validation,
+     * unless a Permission ID would have to be resolved to its Name
+     * @version 1.10
+     * @private
+     * @async
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} permsid - Whether a permsid should be used, Permission Names get detected automatically
+     * @param {object} [columns={}] - Additional Values of every Row, an Array sets a different Value for every Permission
+     * @returns {Promise.<object[]>}
+     */
+    _resolvePermRows(perm, permsid, columns = {}) {
+        return this._permissions.load(this).then(catalog => {
+            return this.constructor._createPermRows(perm, permsid, columns).map(row => {
+                var key = ("permsid" in row) ? "permsid" : "permid"
+                var value = catalog.validate(row[key], row.permvalue)
+                if ("permvalue" in row) row.permvalue = value
+                if (key === "permsid") row.permsid = catalog.getName(row.permsid)
+                return row
+            })
+        }, e => {
+            var rows = this.constructor._createPermRows(perm, permsid, columns)
+            if (rows.some(row => "permsid" in row && !PermissionCatalog.isName(row.permsid))) throw e
+            return rows
+        })
+    }
+
+
+    /**
+     * Creates the Rows of a Permission Command, every Permission gets its own Row
+     * @version 1.10
+     * @private
+     * @static
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {boolean} permsid - Whether a permsid should be used, Permission Names get detected automatically
+     * @param {object} [columns={}] - Additional Values of every Row, an Array sets a different Value for every Permission
+     * @returns {object[]}
+     */
+    static _createPermRows(perm, permsid, columns = {}) {
+        return [].concat(perm).map((p, i) => {
+            var row = {}
+            row[(permsid || PermissionCatalog.isName(p)) ? "permsid" : "permid"] = p
+            Object.keys(columns).forEach(k => row[k] = Array.isArray(columns[k]) ? columns[k][i] : columns[k])
+            return row
+        })
+    }
+
+
+    /**
+     * Checks if two Subscriptions are for the same Event and Channel
+     * @version 1.10
+     * @private
+     * @static
+     * @param {object} a - The first Subscription
+     * @param {object} b - The second Subscription
+     * @returns {boolean}
+     */
+    static _isSameSubscription(a, b) {
+        return a.event === b.event && a.id === b.id
+    }
+
+
     /**
      * Filters an Object with given Option
      * @version 1.0
@@ -2162,6 +3437,24 @@ class TeamSpeak3 extends EventEmitter {
     }
 
 
+    /**
+     * Transforms the Response of a List Command to an Array and resolves empty Lists with an empty Array
+     * @version 1.10
+     * @private
+     * @async
+     * @param {Promise} promise - The Promise of the List Command
+     * @returns {Promise.<object[]>}
+     */
+    _toList(promise) {
+        return promise
+            .then(this.toArray)
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+    }
+
+
     /**
      * Transforms an Input to an Array
      * @async
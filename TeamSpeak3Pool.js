@@ -0,0 +1,228 @@
+/**
+ * @file TeamSpeak3Pool.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const TeamSpeak3 = require(__dirname+"/TeamSpeak3")
+const TS3Query = require(__dirname+"/transport/TS3Query")
+
+/**
+ * Commands which only read data and can be sent on any session of the pool
+ * @ignore
+ */
+const READ_ONLY = [
+    "version", "hostinfo", "instanceinfo", "bindinglist",
+    "serverinfo", "serverlist", "serveridgetbyport", "serverrequestconnectioninfo",
+    "clientlist", "clientinfo", "clientdblist", "clientdbinfo", "clientdbfind",
+    "channellist", "channelinfo", "servergrouplist", "channelgrouplist",
+    "servergroupclientlist", "channelgroupclientlist", "servergroupsbyclientid",
+    "servergrouppermlist", "channelgrouppermlist", "channelpermlist", "clientpermlist", "channelclientpermlist",
+    "permoverview", "permissionlist", "permidgetbyname", "permfind",
+    "banlist", "complainlist", "privilegekeylist", "logview",
+    "customsearch", "custominfo", "ftgetfilelist", "ftgetfileinfo"
+]
+
+/**
+ * TeamSpeak Query Pool which opens multiple Query sessions on the same virtual server
+ * Read-only commands get spread over all sessions, events and every other command stay on the primary session
+ * A read-only command stays on the primary session while a write or a server selection is still queued there,
+ * so it never overtakes a change which has been issued before
+ * @extends TeamSpeak3
+ * @class
+ */
+class TeamSpeak3Pool extends TeamSpeak3 {
+    /**
+     * Creates a new Pool, accepts the same Configuration as TeamSpeak3
+     * The additional sessions get opened after the primary session is ready
+     * @version 1.10
+     * @param {object} [config] - The Configuration Object
+     * @param {number} [config.sessions=4] - The total amount of Query sessions including the primary session
+     */
+    constructor(config = {}) {
+        super(config)
+        this._config.sessions = parseInt(config.sessions) || 4
+        this._sessions = []
+        this.once("ready", () => this._openSessions())
+    }
+
+
+    /**
+     * Retrieves all additional Query sessions
+     * @version 1.10
+     * @returns {TS3Query[]}
+     */
+    getSessions() {
+        return this._sessions.map(s => s.query)
+    }
+
+
+    /**
+     * Selects the virtual server specified with the port on all sessions
+     * @version 1.10
+     * @async
+     * @param {number} port - The Port the Server runs on
+     * @returns {Promise.<object>}
+     */
+    useByPort(port) {
+        return super.useByPort(port)
+            .then(res => this._syncSessions().then(() => res))
+    }
+
+
+    /**
+     * Selects the virtual server specified with the sid on all sessions
+     * @version 1.10
+     * @async
+     * @param {number} sid - The Server ID
+     * @returns {Promise.<object>}
+     */
+    useBySid(sid) {
+        return super.useBySid(sid)
+            .then(res => this._syncSessions().then(() => res))
+    }
+
+
+    /**
+     * Closes all sessions of the Pool
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    quit() {
+        this._sessions.forEach(s => {
+            if (s.timer === null) return s.query.execute("quit").catch(() => null)
+            clearTimeout(s.timer)
+            s.timer = null
+            s.query.shutdown()
+        })
+        return super.quit()
+    }
+
+
+    /**
+     * Sends read-only commands to the session with the least queued commands
+     * as long as no write is waiting on the primary session
+     * @version 1.10
+     * @private
+     * @param {object} args - The Arguments which have been passed to execute
+     * @returns {TS3Query}
+     */
+    _getQuery(args) {
+        var cmd = Array.prototype.find.call(args, a => typeof a === "string")
+        if (READ_ONLY.indexOf(cmd) < 0) return this._ts3
+        if (this._ts3.getQueuedCommands().some(c => READ_ONLY.indexOf(c) < 0)) return this._ts3
+        return this._sessions
+            .filter(s => s.ready && s.query.connected)
+            .map(s => s.query)
+            .reduce((best, query) => {
+                return (query.getQueueSize() < best.getQueueSize()) ? query : best
+            }, this._ts3)
+    }
+
+
+    /**
+     * Opens the additional Query sessions
+     * @version 1.10
+     * @private
+     */
+    _openSessions() {
+        for (var i = this._sessions.length; i < this._config.sessions - 1; i++) {
+            var session = {
+                ready: false,
+                attempt: 0,
+                timer: null,
+                query: new TS3Query(
+                    this._config.host,
+                    this._config.queryport,
+                    this._config.protocol,
+                    this._config.username,
+                    this._config.password
+                )
+            }
+            this._initSession(session)
+            this._sessions.push(session)
+        }
+    }
+
+
+    /**
+     * Applies the settings of the primary session and restores the login on every connect
+     * A lost session gets reconnected with the same backoff and amount of attempts as the primary session
+     * @version 1.10
+     * @private
+     * @param {object} session - The Session which should get initialized
+     */
+    _initSession(session) {
+        var query = session.query
+        if (this._config.keepalive) query.keepAlive()
+        if (this._config.antispam) query.antiSpam(this._config.antispamtimer)
+        if (this._config.floodcontrol) query.floodControl()
+        query.commandTimeout(this._config.commandtimeout)
+        query.on("connect", () => this._restoreSessionContext(session))
+        query.on("error", e => super.emit("error", e))
+        query.on("close", () => {
+            session.ready = false
+            if (this._quit || !this._config.reconnect) return query.shutdown()
+            if (session.attempt >= this._config.reconnectattempts) {
+                query.shutdown()
+                return this._emitError(new Error("Pool session could not be reconnected after "+session.attempt+" attempts"))
+            }
+            session.timer = setTimeout(() => {
+                session.timer = null
+                query.connect()
+            }, this._getReconnectDelay(session.attempt++))
+        })
+    }
+
+
+    /**
+     * Sends the login and the server selection of the primary session to another session
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object} session - The Session which should get restored
+     * @param {boolean} [login=true] - Whether the login should be sent as well
+     * @returns {Promise}
+     */
+    _restoreSessionContext(session, login = true) {
+        var ctx = this._context
+        var exec = []
+        session.ready = false
+        if (login && ctx.login)
+            exec.push(session.query.executePrior("login", [ctx.login.username, ctx.login.password]))
+        if (ctx.selected)
+            exec.push(session.query.executePrior("use", ctx.selected))
+        return Promise.all(exec)
+            .then(() => {
+                session.ready = true
+                session.attempt = 0
+            })
+            .catch(e => {
+                //the session gets closed and reconnected like after a lost connection
+                this._emitError(e)
+                session.query.close()
+            })
+    }
+
+
+    /**
+     * Restores the context on all connected sessions after the primary session selected a different server
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise}
+     */
+    _syncSessions() {
+        return Promise.all(
+            this._sessions
+                .filter(s => s.query.connected)
+                .map(s => this._restoreSessionContext(s, false))
+        )
+    }
+
+}
+
+module.exports = TeamSpeak3Pool
@@ -29,14 +29,8 @@ ts3.on("clientconnect", ev => {
 
 ts3.on("ready", () => {
     //This Part subscribes to all events available
-    Promise.all([
-        ts3.registerEvent("server"),
-        ts3.registerEvent("channel", 0),
-        ts3.registerEvent("textserver"),
-        ts3.registerEvent("textchannel"),
-        ts3.registerEvent("textprivate")
-    ]).then(() => {
-        console.log("Subscribed to all Events")
+    ts3.registerAll().then(() => {
+        console.log("Subscribed to "+ts3.getSubscriptions().length+" Events")
     }).catch(e => {
         console.log("CATCHED", e.message)
     })
@@ -0,0 +1,25 @@
+/**
+ * @file AbortError.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+
+ /**
+  * Gets thrown when a queued Command has been cancelled before it got sent
+  * @version 1.10
+  * @param {string} cmd - The Command which has been cancelled
+  */
+function AbortError(cmd) {
+  this.cmd = cmd
+  this.message = "Command \""+cmd+"\" has been aborted"
+  this.stack = (new Error(this.message)).stack
+}
+
+AbortError.prototype = Object.create(Error.prototype)
+AbortError.prototype.constructor = AbortError
+AbortError.prototype.name = "AbortError"
+
+module.exports = AbortError
@@ -28,7 +28,8 @@ function ResponseError(error) {
     this.message += ", failed on permid "+this.failed_permid
 }
 
-ResponseError.prototype = Error.prototype
+ResponseError.prototype = Object.create(Error.prototype)
+ResponseError.prototype.constructor = ResponseError
 ResponseError.prototype.name = "ResponseError"
 
 /**
@@ -0,0 +1,27 @@
+/**
+ * @file TimeoutError.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+
+ /**
+  * Gets thrown when the TeamSpeak Query did not answer a Command within the given time
+  * @version 1.10
+  * @param {string} cmd - The Command which timed out
+  * @param {number} timeout - The Timeout which has been exceeded (in ms)
+  */
+function TimeoutError(cmd, timeout) {
+  this.cmd = cmd
+  this.timeout = timeout
+  this.message = "Command \""+cmd+"\" timed out after "+timeout+"ms"
+  this.stack = (new Error(this.message)).stack
+}
+
+TimeoutError.prototype = Object.create(Error.prototype)
+TimeoutError.prototype.constructor = TimeoutError
+TimeoutError.prototype.name = "TimeoutError"
+
+module.exports = TimeoutError
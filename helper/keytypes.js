@@ -207,6 +207,8 @@ module.exports = {
     reasonmsg: String,
     ctid: Number,
     cfid: Number,
+    cpid: Number,
+    order: Number,
     targetmode: Number,
     msg: String,
     target: Number,
@@ -214,9 +216,53 @@ module.exports = {
     invokername: String,
     invokeruid: String,
 
+    //Tokens
+    token: String,
+    tokencustomset: String,
+    token1: Number,
+    token2: Number,
+    cluid: String,
+    token_type: Number,
+    token_id1: Number,
+    token_id2: Number,
+    token_created: Number,
+    token_description: String,
+
+    //TeaSpeak Music Bots
+    bot_id: Number,
+    song_id: Number,
+    song_url: String,
+    song_invoker: Number,
+    playlist_id: Number,
+
     //Snapshot
     hash: String,
 
+    //Bans
+    banid: Number,
+    ip: String,
+    uid: String,
+    mytsid: String,
+    lastnickname: String,
+    created: Number,
+    duration: Number,
+    invokercldbid: Number,
+    reason: String,
+    enforcements: Number,
+
+    //Messages
+    msgid: Number,
+    subject: String,
+    message: String,
+    timestamp: Number,
+    flag_read: Number,
+
+    //Complaints
+    tcldbid: Number,
+    tname: String,
+    fcldbid: Number,
+    fname: String,
+
     //Logs
     last_pos: Number,
     file_size: Number,
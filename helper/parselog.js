@@ -0,0 +1,86 @@
+const LINE = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(?:\.(\d+))?\|\s*([A-Za-z]+)\s*\|\s*([^|]*?)\s*\|\s*(\d*)\s*\|\s?(.*)$/
+
+const NAME = "'(.*?)'\\(id:(\\d+)\\)"
+
+const RECOGNIZERS = [{
+    type: "clientconnect",
+    match: new RegExp("^client connected "+NAME+" from (.+?)(?::(\\d+))?$"),
+    data: m => ({name: m[1], cldbid: Number(m[2]), ip: m[3], port: m[4] ? Number(m[4]) : undefined})
+}, {
+    type: "clientdisconnect",
+    match: new RegExp("^client disconnected "+NAME+" reason '(.*)'$"),
+    data: m => ({name: m[1], cldbid: Number(m[2]), reason: m[3]})
+}, {
+    type: "banadd",
+    match: new RegExp("^ban added (.*?) bantime=(\\d+) by (?:query )?client "+NAME+"$"),
+    data: m => Object.assign(pairs(m[1]), {bantime: Number(m[2]), invoker: m[3], invokercldbid: Number(m[4])})
+}, {
+    type: "bandel",
+    match: new RegExp("^ban deleted (.*?) by (?:query )?client "+NAME+"$"),
+    data: m => Object.assign(pairs(m[1]), {invoker: m[2], invokercldbid: Number(m[3])})
+}, {
+    type: "permission",
+    match: new RegExp(
+        "^permission "+NAME+"(?: with values \\(value:(-?\\d+), negated:(\\d), skipchannel:(\\d)\\))?"
+        +" was (added|deleted|edited) by (?:query )?(?:client )?"+NAME
+        +" (?:to|from|on) (servergroup|channelgroup|channel|client) "+NAME
+    ),
+    data: m => ({
+        permsid: m[1],
+        permid: Number(m[2]),
+        value: m[3] === undefined ? undefined : Number(m[3]),
+        negate: m[4] === "1",
+        skip: m[5] === "1",
+        action: m[6],
+        invoker: m[7],
+        invokercldbid: Number(m[8]),
+        target: m[9],
+        targetname: m[10],
+        targetid: Number(m[11])
+    })
+}, {
+    type: "servergroupadd",
+    match: new RegExp("^client "+NAME+" was added to servergroup "+NAME+" by (?:query )?client "+NAME+"$"),
+    data: m => ({name: m[1], cldbid: Number(m[2]), group: m[3], sgid: Number(m[4]), invoker: m[5], invokercldbid: Number(m[6])})
+}, {
+    type: "servergroupdel",
+    match: new RegExp("^client "+NAME+" was removed from servergroup "+NAME+" by (?:query )?client "+NAME+"$"),
+    data: m => ({name: m[1], cldbid: Number(m[2]), group: m[3], sgid: Number(m[4]), invoker: m[5], invokercldbid: Number(m[6])})
+}]
+
+function pairs(s) {
+    var res = {}
+    var re = /(\w+)='(.*?)'(?=\s|$)/g
+    var m
+    while ((m = re.exec(s)) !== null) res[m[1]] = m[2]
+    return res
+}
+
+function recognize(message) {
+    for (var i = 0; i < RECOGNIZERS.length; i++) {
+        var m = message.match(RECOGNIZERS[i].match)
+        if (m) return {type: RECOGNIZERS[i].type, data: RECOGNIZERS[i].data(m)}
+    }
+    return {type: null, data: null}
+}
+
+module.exports = function parseLog(line) {
+    var m = String(line).match(LINE)
+    if (!m) return Object.assign({
+        timestamp: null,
+        level: null,
+        channel: null,
+        virtualServerId: null,
+        message: String(line),
+        line: String(line)
+    }, recognize(String(line)))
+    var ms = ((m[3] || "")+"000").substr(0, 3)
+    return Object.assign({
+        timestamp: new Date(m[1]+"T"+m[2]+"."+ms+"Z"),
+        level: m[4].toUpperCase(),
+        channel: m[5],
+        virtualServerId: m[6] === "" ? null : Number(m[6]),
+        message: m[7],
+        line: line
+    }, recognize(m[7]))
+}
@@ -0,0 +1,78 @@
+const IGNORED = ["cid", "pid", "cpid", "channel_order", "sgid", "cgid", "permissions"]
+
+function diffProperties(from = {}, to = {}, ignored = []) {
+    var changed = {}
+    Object.keys(Object.assign({}, from, to))
+        .filter(k => ignored.indexOf(k) < 0)
+        .filter(k => JSON.stringify(from[k]) !== JSON.stringify(to[k]))
+        .forEach(k => changed[k] = {from: from[k], to: to[k]})
+    return changed
+}
+
+function diffPermissions(from = {}, to = {}) {
+    var diff = {added: {}, removed: {}, changed: {}}
+    Object.keys(to).filter(k => !(k in from)).forEach(k => diff.added[k] = to[k])
+    Object.keys(from).filter(k => !(k in to)).forEach(k => diff.removed[k] = from[k])
+    Object.assign(diff.changed, diffProperties(
+        from, to, Object.keys(diff.added).concat(Object.keys(diff.removed))
+    ))
+    return diff
+}
+
+function isEmpty(diff) {
+    return Object.keys(diff).every(k => Object.keys(diff[k]).length === 0)
+}
+
+function diffEntries(from, to, getKey, describe) {
+    var diff = {added: [], removed: [], changed: []}
+    var old = {}
+    from.forEach(entry => old[getKey(entry)] = entry)
+    to.forEach(entry => {
+        var key = getKey(entry)
+        if (!(key in old)) return diff.added.push(describe(entry))
+        var properties = diffProperties(old[key], entry, IGNORED)
+        var permissions = diffPermissions(old[key].permissions, entry.permissions)
+        delete old[key]
+        if (Object.keys(properties).length === 0 && isEmpty(permissions)) return
+        diff.changed.push(Object.assign(describe(entry), {properties: properties, permissions: permissions}))
+    })
+    diff.removed = Object.keys(old).map(key => describe(old[key]))
+    return diff
+}
+
+function channelPaths(channels) {
+    var paths = {}
+    var getPath = channel => {
+        if (!(channel.cid in paths)) {
+            var parent = channels.find(c => c.cid === channel.pid)
+            paths[channel.cid] = (parent ? getPath(parent) : []).concat([channel.channel_name])
+        }
+        return paths[channel.cid]
+    }
+    channels.forEach(getPath)
+    return paths
+}
+
+function diffChannels(from = [], to = []) {
+    var fromPaths = channelPaths(from)
+    var toPaths = channelPaths(to)
+    var pathOf = channel => (from.indexOf(channel) >= 0) ? fromPaths[channel.cid] : toPaths[channel.cid]
+    return diffEntries(from, to, c => JSON.stringify(pathOf(c)), c => {
+        return {path: pathOf(c)}
+    })
+}
+
+function diffGroups(from = [], to = []) {
+    return diffEntries(from, to, g => JSON.stringify([g.name, g.type]), g => {
+        return {name: g.name, type: g.type}
+    })
+}
+
+module.exports = function diffSnapshots(from, to) {
+    return {
+        server: diffProperties(from.server, to.server),
+        channels: diffChannels(from.channels, to.channels),
+        servergroups: diffGroups(from.servergroups, to.servergroups),
+        channelgroups: diffGroups(from.channelgroups, to.channelgroups)
+    }
+}
@@ -0,0 +1,14 @@
+module.exports = function sortChannels(channels) {
+    var cache = c => (typeof c.getCache === "function") ? c.getCache() : c
+    var remaining = channels.slice()
+    var sorted = []
+    var order = 0
+    while (remaining.length > 0) {
+        var next = remaining.find(c => cache(c).channel_order === order)
+        if (!next) break
+        remaining.splice(remaining.indexOf(next), 1)
+        sorted.push(next)
+        order = cache(next).cid
+    }
+    return sorted.concat(remaining)
+}
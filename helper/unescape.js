@@ -1,12 +1,15 @@
+const CHARS = {
+    "s":  " ",
+    "p":  "|",
+    "n":  "\n",
+    "f":  "\f",
+    "r":  "\r",
+    "t":  "\t",
+    "v":  "\v",
+    "/":  "/",
+    "\\": "\\"
+}
+
 module.exports = function unescape(s) {
-    return String(s)
-        .replace(/\\s/g,  " ")
-        .replace(/\\p/g,  "|")
-        .replace(/\\n/g,  "\n")
-        .replace(/\\f/g,  "\f")
-        .replace(/\\r/g,  "\r")
-        .replace(/\\t/g,  "\t")
-        .replace(/\\v/g,  "\v")
-        .replace(/\\\//g, "\/")
-        .replace(/\\\\/g, "\\")
-}
\ No newline at end of file
+    return String(s).replace(/\\([spnfrtv\/\\])/g, (match, c) => CHARS[c])
+}
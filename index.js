@@ -1 +1,2 @@
 module.exports = require("./TeamSpeak3.js")
+module.exports.TeamSpeak3Pool = require("./TeamSpeak3Pool.js")
@@ -0,0 +1,320 @@
+/**
+ * @file ChannelLayout.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const sortChannels = require(__dirname+"/../helper/sortchannels")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Compares a Channel Layout Specification with the Channels of the selected virtual server
+ * and creates a Plan of the Steps which are needed to apply the Specification
+ *
+ * A Specification is a List of Channel Nodes in the order they should be displayed:
+ * {name: "Lobby", properties: {channel_topic: "..."}, permissions: {i_channel_needed_join_power: 50}, children: [...]}
+ * Channels get matched by their name below the same Parent Channel
+ * A Permission with the value null gets removed from the Channel
+ * @class
+ */
+class ChannelLayout {
+    /**
+     * Creates a new Channel Layout
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {object[]} spec - The List of Channel Nodes on the top level
+     * @param {object} [options] - The Options
+     * @param {boolean} [options.deleteUnknown=false] - Whether Channels which are not in the Specification should get deleted
+     */
+    constructor(parent, spec, options = {}) {
+        this._parent = parent
+        this._spec = spec
+        this._deleteUnknown = Boolean(options.deleteUnknown)
+    }
+
+
+    /**
+     * Creates the Plan which is needed to apply the Specification
+     * Every Step has an action which is one of create, edit, move, perm, delperm or delete
+     * and the path of Channel Names it belongs to
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    plan() {
+        return this._parent.channelList().then(channels => {
+            this._channels = channels
+            this._matched = []
+            this._match(this._spec, 0)
+            this._info = {}
+            this._perms = {}
+            return Promise.all(this._matched.map(m => this._fetch(m.channel, m.node)))
+        }).then(() => {
+            this._siblings = {}
+            this._steps = []
+            this._planNodes(this._spec, [], 0)
+            if (this._deleteUnknown) this._planDeletes(0, [])
+            return this._steps
+        })
+    }
+
+
+    /**
+     * Executes the Steps of a Plan one after another
+     * @version 1.10
+     * @async
+     * @param {object[]} steps - The Steps which have been created by plan()
+     * @returns {Promise.<object[]>}
+     */
+    apply(steps) {
+        var cids = {"[]": 0}
+        this._channels.forEach(c => cids[JSON.stringify(this._getPath(c))] = c.getCache().cid)
+        var resolve = path => (path === null) ? 0 : cids[JSON.stringify(path)]
+        return steps.reduce((chain, step) => chain.then(() => {
+            var cid = resolve(step.path)
+            switch (step.action) {
+                case "create":
+                    var props = Object.assign({}, step.properties)
+                    var name = props.channel_name
+                    delete props.channel_name
+                    props.cpid = resolve(step.parent)
+                    props.channel_order = resolve(step.after)
+                    return this._parent.channelCreate(name, props)
+                        .then(channel => cids[JSON.stringify(step.path)] = channel.getCache().cid)
+                case "edit":
+                    return this._parent.channelEdit(cid, Object.assign({}, step.properties))
+                case "move":
+                    return this._parent.channelMove(cid, resolve(step.parent), resolve(step.after))
+                case "perm":
+                    return this._parent.channelSetPerm(cid, step.permsid, step.value, true)
+                case "delperm":
+                    return this._parent.channelDelPerm(cid, step.permsid, true)
+                case "delete":
+                    return this._parent.channelDelete(cid, 1)
+            }
+        }), Promise.resolve()).then(() => steps)
+    }
+
+
+    /**
+     * Finds the existing Channels of the Specification
+     * @version 1.10
+     * @private
+     * @param {object[]} nodes - The Nodes of the Specification
+     * @param {number} pid - The ID of the existing Parent Channel
+     */
+    _match(nodes, pid) {
+        nodes.forEach(node => {
+            var channel = this._findChannel(node, pid)
+            if (!channel) return
+            this._matched.push({channel: channel, node: node})
+            if (Array.isArray(node.children)) this._match(node.children, channel.getCache().cid)
+        })
+    }
+
+
+    /**
+     * Retrieves the Channel Info and the Permissions of an existing Channel if the Specification needs them
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeakChannel} channel - The existing Channel
+     * @param {object} node - The Node of the Specification
+     * @returns {Promise}
+     */
+    _fetch(channel, node) {
+        var cid = channel.getCache().cid
+        var exec = []
+        var missing = Object.keys(node.properties || {}).filter(k => !(k in channel.getCache()))
+        if (missing.length > 0)
+            exec.push(this._parent.channelInfo(cid).then(info => this._info[cid] = info))
+        if (Object.keys(node.permissions || {}).length > 0)
+            exec.push(this._parent.channelPermList(cid, true)
+                .catch(e => {
+                    if (e.id === EMPTY_RESULT) return []
+                    throw e
+                })
+                .then(perms => this._perms[cid] = perms))
+        return Promise.all(exec)
+    }
+
+
+    /**
+     * Creates the Steps for a List of sibling Nodes
+     * @version 1.10
+     * @private
+     * @param {object[]} nodes - The Nodes of the Specification
+     * @param {string[]} parentPath - The Path of the Parent Channel
+     * @param {(number|boolean)} pid - The ID of the existing Parent Channel, false if the Parent gets created
+     */
+    _planNodes(nodes, parentPath, pid) {
+        var siblings = this._getSiblings(parentPath, pid)
+        nodes.forEach((node, index) => {
+            var path = parentPath.concat([node.name])
+            var key = JSON.stringify(path)
+            var after = (index > 0) ? parentPath.concat([nodes[index - 1].name]) : null
+            var afterKey = (after === null) ? null : JSON.stringify(after)
+            var channel = (pid === false) ? undefined : this._findChannel(node, pid)
+            if (channel) {
+                var position = siblings.indexOf(key)
+                var above = (position > 0) ? siblings[position - 1] : null
+                if (above !== afterKey) {
+                    this._steps.push({action: "move", path: path, cid: channel.getCache().cid, parent: parentPath, after: after})
+                    siblings.splice(position, 1)
+                    this._insertAfter(siblings, key, afterKey)
+                }
+                this._planProperties(channel, node, path)
+                this._planPermissions(channel, node, path)
+            } else {
+                var properties = Object.assign({channel_flag_permanent: 1}, node.properties || {}, {channel_name: node.name})
+                if (properties.channel_flag_semi_permanent) delete properties.channel_flag_permanent
+                this._steps.push({action: "create", path: path, parent: parentPath, after: after, properties: properties})
+                this._insertAfter(siblings, key, afterKey)
+                Object.keys(node.permissions || {})
+                    .filter(perm => node.permissions[perm] !== null)
+                    .forEach(perm => this._steps.push({action: "perm", path: path, permsid: perm, value: node.permissions[perm]}))
+            }
+            if (Array.isArray(node.children))
+                this._planNodes(node.children, path, channel ? channel.getCache().cid : false)
+        })
+    }
+
+
+    /**
+     * Creates an edit Step for all Properties which differ from the Specification
+     * The password can not be read so it only gets set when the password flag differs
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The existing Channel
+     * @param {object} node - The Node of the Specification
+     * @param {string[]} path - The Path of the Channel
+     */
+    _planProperties(channel, node, path) {
+        var props = node.properties || {}
+        var current = Object.assign({}, this._info[channel.getCache().cid] || {}, channel.getCache())
+        var changed = {}
+        Object.keys(props)
+            .filter(k => k !== "channel_name" && k !== "channel_password")
+            .filter(k => String(current[k]) !== String(props[k]))
+            .forEach(k => changed[k] = props[k])
+        if ("channel_password" in props && Boolean(props.channel_password) !== Boolean(current.channel_flag_password))
+            changed.channel_password = props.channel_password
+        if (Object.keys(changed).length > 0)
+            this._steps.push({action: "edit", path: path, cid: channel.getCache().cid, properties: changed})
+    }
+
+
+    /**
+     * Creates perm and delperm Steps for all Permissions which differ from the Specification
+     * Values get compared as numbers since the Specification may contain booleans or strings
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The existing Channel
+     * @param {object} node - The Node of the Specification
+     * @param {string[]} path - The Path of the Channel
+     */
+    _planPermissions(channel, node, path) {
+        var perms = node.permissions || {}
+        var cid = channel.getCache().cid
+        var list = this._perms[cid] || []
+        Object.keys(perms).forEach(perm => {
+            var current = list.find(p => p.permsid === perm)
+            if (perms[perm] === null) {
+                if (current) this._steps.push({action: "delperm", path: path, cid: cid, permsid: perm})
+            } else if (!current || Number(current.permvalue) !== Number(perms[perm])) {
+                this._steps.push({action: "perm", path: path, cid: cid, permsid: perm, value: perms[perm]})
+            }
+        })
+    }
+
+
+    /**
+     * Creates delete Steps for all Channels which are not in the Specification
+     * Only the topmost unknown Channel gets deleted since its Sub Channels get deleted with it
+     * @version 1.10
+     * @private
+     * @param {number} pid - The Parent Channel ID
+     * @param {string[]} parentPath - The Path of the Parent Channel
+     */
+    _planDeletes(pid, parentPath) {
+        sortChannels(this._channels.filter(c => c.getCache().pid === pid)).forEach(channel => {
+            var path = parentPath.concat([channel.getCache().channel_name])
+            if (this._matched.some(m => m.channel === channel))
+                return this._planDeletes(channel.getCache().cid, path)
+            this._steps.push({action: "delete", path: path, cid: channel.getCache().cid})
+        })
+    }
+
+
+    /**
+     * Retrieves the simulated Order of the Children of a Parent Channel
+     * @version 1.10
+     * @private
+     * @param {string[]} parentPath - The Path of the Parent Channel
+     * @param {(number|boolean)} pid - The ID of the existing Parent Channel, false if the Parent gets created
+     * @returns {string[]} The Keys of the Children in the order they are displayed
+     */
+    _getSiblings(parentPath, pid) {
+        var parentKey = JSON.stringify(parentPath)
+        if (!(parentKey in this._siblings)) {
+            this._siblings[parentKey] = (pid === false) ? [] :
+                sortChannels(this._channels.filter(c => c.getCache().pid === pid))
+                    .map(c => JSON.stringify(parentPath.concat([c.getCache().channel_name])))
+        }
+        return this._siblings[parentKey]
+    }
+
+
+    /**
+     * Finds the existing Channel of a Node below a Parent Channel
+     * @version 1.10
+     * @private
+     * @param {object} node - The Node of the Specification
+     * @param {number} pid - The ID of the Parent Channel
+     * @returns {(TeamSpeakChannel|undefined)}
+     */
+    _findChannel(node, pid) {
+        return this._channels.find(c => c.getCache().pid === pid && c.getCache().channel_name === node.name)
+    }
+
+
+    /**
+     * Inserts a Channel into the simulated Order
+     * @version 1.10
+     * @private
+     * @param {string[]} list - The Keys of the siblings
+     * @param {string} key - The Key of the Channel
+     * @param {string} afterKey - The Key of the Channel above, null for the first position
+     */
+    _insertAfter(list, key, afterKey) {
+        list.splice((afterKey === null) ? 0 : list.indexOf(afterKey) + 1, 0, key)
+    }
+
+
+    /**
+     * Retrieves the Path of Channel Names from the top level down to an existing Channel
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The Channel
+     * @returns {string[]}
+     */
+    _getPath(channel) {
+        var path = []
+        while (channel) {
+            path.unshift(channel.getCache().channel_name)
+            var pid = channel.getCache().pid
+            channel = this._channels.find(c => c.getCache().cid === pid)
+        }
+        return path
+    }
+
+}
+
+module.exports = ChannelLayout
@@ -0,0 +1,190 @@
+/**
+ * @file ComplaintManager.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Poller = require(__dirname+"/Poller")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Groups the Complaints of the selected virtual server per target Client
+ * and polls them to emit a complaintthreshold Event when a Client reaches one of the configured Thresholds
+ * The Counts of the first poll are known, only Thresholds which get reached afterwards get emitted
+ * @extends Poller
+ * @class
+ */
+class ComplaintManager extends Poller {
+    /**
+     * Creates a new Complaint Manager
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {number[]} thresholds - The Amounts of Complaints at which the Event gets emitted
+     * @param {number} interval - The Time between two polls (in ms)
+     */
+    constructor(parent, thresholds, interval) {
+        super(parent, interval)
+        this._thresholds = thresholds.slice().sort((a, b) => a - b)
+    }
+
+
+    /**
+     * Retrieves the Complaints grouped per target Client, the Clients get resolved to their Database Entries
+     * @version 1.10
+     * @async
+     * @param {number} [tcldbid] - Only retrieve the Complaints about the Client with this Database ID
+     * @returns {Promise.<object[]>} List of objects with tcldbid, tname, target, count and complaints (fcldbid, fname, source, message and timestamp)
+     */
+    list(tcldbid) {
+        return this._fetch(this._parent, tcldbid)
+            .then(complaints => this._resolve(this._parent, ComplaintManager._group(complaints)))
+    }
+
+
+    /**
+     * Retrieves the Complaints and emits the Thresholds which have been reached since the last poll
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands in the background lane
+     * @returns {Promise.<object[]>} The emitted Events
+     */
+    _poll(query) {
+        return this._fetch(query)
+            .then(complaints => {
+                var known = this._state
+                var groups = ComplaintManager._group(complaints)
+                this._state = {}
+                groups.forEach(g => this._state[g.tcldbid] = g.count)
+                if (known === null) return []
+                var reached = groups.filter(g => {
+                    g.thresholds = this._getThresholds(known[g.tcldbid] || 0, g.count)
+                    return g.thresholds.length > 0
+                })
+                return this._resolve(query, reached)
+            })
+            .then(groups => {
+                var events = []
+                groups.forEach(group => {
+                    group.thresholds.forEach(threshold => {
+                        var ev = Object.assign({threshold: threshold}, group)
+                        delete ev.thresholds
+                        events.push(ev)
+                    })
+                })
+                /**
+                 * Complaint Threshold Event
+                 * Gets fired when the Complaints about a Client reach one of the configured Thresholds
+                 *
+                 * @event TeamSpeak3#complaintthreshold
+                 * @memberof TeamSpeak3
+                 * @type {object}
+                 * @property {number} threshold - The Threshold which has been reached
+                 * @property {number} tcldbid - The Database ID of the Client
+                 * @property {string} tname - The Name of the Client
+                 * @property {object} target - The Database Entry of the Client
+                 * @property {number} count - The current Amount of Complaints
+                 * @property {object[]} complaints - The Complaints with fcldbid, fname, source, message and timestamp
+                 */
+                events.forEach(ev => this._parent.emit("complaintthreshold", ev))
+                return events
+            })
+    }
+
+
+    /**
+     * Retrieves the Complaint List and resolves an empty List with an empty Array
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands
+     * @param {number} [tcldbid] - Only retrieve the Complaints about the Client with this Database ID
+     * @returns {Promise.<object[]>}
+     */
+    _fetch(query, tcldbid) {
+        return query.complainList(tcldbid)
+            .then(query.toArray)
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+    }
+
+
+    /**
+     * Resolves the Database Entries of the target Clients and the Clients which filed the Complaints
+     * A Client which can not be found in the Database gets resolved to undefined
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands
+     * @param {object[]} groups - The grouped Complaints
+     * @returns {Promise.<object[]>}
+     */
+    _resolve(query, groups) {
+        var ids = []
+        groups.forEach(g => {
+            ids.push(g.tcldbid)
+            g.complaints.forEach(c => ids.push(c.fcldbid))
+        })
+        ids = ids.filter((id, i) => ids.indexOf(id) === i)
+        var entries = {}
+        return Promise.all(ids.map(cldbid => {
+            return query.clientDBInfo(cldbid)
+                .then(info => entries[cldbid] = info)
+                .catch(() => entries[cldbid] = undefined)
+        })).then(() => groups.map(g => {
+            return Object.assign({}, g, {
+                target: entries[g.tcldbid],
+                complaints: g.complaints.map(c => Object.assign({source: entries[c.fcldbid]}, c))
+            })
+        }))
+    }
+
+
+    /**
+     * Retrieves the Thresholds which lie between two Counts
+     * @version 1.10
+     * @private
+     * @param {number} previous - The Count of the last poll
+     * @param {number} count - The current Count
+     * @returns {number[]}
+     */
+    _getThresholds(previous, count) {
+        return this._thresholds.filter(t => previous < t && count >= t)
+    }
+
+
+    /**
+     * Groups Complaints per target Client
+     * @version 1.10
+     * @private
+     * @static
+     * @param {object[]} complaints - The Complaints which have been received from the Server
+     * @returns {object[]} List of objects with tcldbid, tname, count and complaints
+     */
+    static _group(complaints) {
+        var groups = {}
+        complaints.forEach(c => {
+            if (!(c.tcldbid in groups)) groups[c.tcldbid] = {tcldbid: c.tcldbid, tname: c.tname, count: 0, complaints: []}
+            groups[c.tcldbid].count++
+            groups[c.tcldbid].complaints.push({
+                fcldbid: c.fcldbid,
+                fname: c.fname,
+                message: c.message,
+                timestamp: c.timestamp
+            })
+        })
+        return Object.keys(groups).map(k => groups[k])
+    }
+
+}
+
+module.exports = ComplaintManager
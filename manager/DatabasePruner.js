@@ -0,0 +1,155 @@
+/**
+ * @file DatabasePruner.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const TeamSpeakServerGroup = require(__dirname+"/../property/ServerGroup")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Seconds of a Day
+ * @ignore
+ */
+const DAY = 86400
+
+/**
+ * Deletes the Clients from the Database which have not been connected for a given amount of days
+ *
+ * The Database gets filtered while paging through it, only the inactive Clients get collected
+ * before the first one gets deleted since deleting while paging would shift the offsets of the following pages
+ * Clients which are online, ServerQuery Logins or in one of the protected Server Groups get skipped
+ * @class
+ */
+class DatabasePruner {
+    /**
+     * Creates a new Database Pruner
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {object} options - The Options
+     * @param {number} options.inactiveDays - The amount of days since the last connection after which a Client gets deleted
+     * @param {Array.<(number|TeamSpeakServerGroup)>} [options.excludeGroups=[]] - The Server Groups which protect their Clients
+     * @param {boolean} [options.dryRun=false] - Whether the Clients should only be reported without deleting them
+     * @param {number} [options.pageSize=100] - The amount of Database Entries which get requested at once
+     * @param {boolean} [options.includeQueryClients=false] - Whether ServerQuery Logins should get deleted as well
+     */
+    constructor(parent, options) {
+        if (!(options.inactiveDays > 0))
+            throw new Error("Invalid inactiveDays \""+options.inactiveDays+"\" given! Expected a positive number")
+        this._parent = parent.withOptions({priority: "background"})
+        this._inactiveDays = options.inactiveDays
+        this._excludeGroups = (options.excludeGroups || []).map(g => {
+            return (g instanceof TeamSpeakServerGroup) ? g.getSGID() : Number(g)
+        })
+        this._dryRun = Boolean(options.dryRun)
+        this._pageSize = options.pageSize || 100
+        this._includeQueryClients = Boolean(options.includeQueryClients)
+    }
+
+
+    /**
+     * Deletes the inactive Clients
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} The Report with dryRun, inactiveDays, checked (amount of Database Entries),
+     *          deleted (the deleted TeamSpeakDatabaseClient Entries, or the ones which would get deleted on a dry run),
+     *          skipped (inactive Entries with the reason online, query or group) and failed (Entries with the error which occured while deleting)
+     */
+    prune() {
+        var report = {
+            dryRun: this._dryRun,
+            inactiveDays: this._inactiveDays,
+            checked: 0,
+            deleted: [],
+            skipped: [],
+            failed: []
+        }
+        return this._parent.clientList().then(clients => {
+            var online = clients.map(c => c.getCache().client_database_id)
+            return this._collect(report, online)
+        }).then(inactive => {
+            return inactive.reduce((chain, entry) => chain.then(() => {
+                return this._isProtected(entry.getDBID())
+                    .then(isProtected => {
+                        if (isProtected) return report.skipped.push({entry: entry, reason: "group"})
+                        if (this._dryRun) return report.deleted.push(entry)
+                        return entry.del()
+                            .then(() => report.deleted.push(entry))
+                    })
+                    .catch(e => report.failed.push({entry: entry, error: e}))
+            }), Promise.resolve())
+        }).then(() => report)
+    }
+
+
+    /**
+     * Pages through the Database and collects the inactive Clients which may get deleted
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object} report - The Report which receives the checked count and the skipped Entries
+     * @param {number[]} online - The Database IDs of the Clients which are online
+     * @returns {Promise.<TeamSpeakDatabaseClient[]>}
+     */
+    _collect(report, online) {
+        var before = Math.floor(Date.now() / 1000) - this._inactiveDays * DAY
+        var iterator = this._parent.clientDBIterate({pageSize: this._pageSize})
+        var inactive = []
+        var step = () => iterator.next().then(res => {
+            if (res.done) return inactive
+            var entry = res.value
+            report.checked++
+            if (entry.getCache().client_lastconnected >= before) return step()
+            if (online.indexOf(entry.getDBID()) >= 0) {
+                report.skipped.push({entry: entry, reason: "online"})
+            } else if (!this._includeQueryClients && this._isQueryClient(entry)) {
+                report.skipped.push({entry: entry, reason: "query"})
+            } else {
+                inactive.push(entry)
+            }
+            return step()
+        })
+        return step()
+    }
+
+
+    /**
+     * Checks if a Database Entry belongs to a ServerQuery Login
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakDatabaseClient} entry - The Database Entry
+     * @returns {boolean}
+     */
+    _isQueryClient(entry) {
+        return Boolean(entry.getCache().client_login_name) || entry.getUID() === "serveradmin"
+    }
+
+
+    /**
+     * Checks if a Client is in one of the protected Server Groups, a Client without Server Groups is not protected
+     * @version 1.10
+     * @private
+     * @async
+     * @param {number} cldbid - The Client Database ID
+     * @returns {Promise.<boolean>}
+     */
+    _isProtected(cldbid) {
+        if (this._excludeGroups.length === 0) return Promise.resolve(false)
+        return this._parent.serverGroupsByClientId(cldbid)
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+            .then(groups => groups.some(g => this._excludeGroups.indexOf(g.sgid) >= 0))
+    }
+
+}
+
+module.exports = DatabasePruner
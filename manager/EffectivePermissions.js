@@ -0,0 +1,183 @@
+/**
+ * @file EffectivePermissions.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Calculates the effective Permissions of a Client in a Channel
+ *
+ * The Layers get applied in the order TeamSpeak evaluates them:
+ * Server Groups, Client, Channel, Channel Group and Channel Client Permissions
+ * Between multiple Server Groups the highest Value wins, if a Server Group negates the Permission the lowest negated Value wins
+ * A skip flag on a Server Group or Client Permission prevents the Channel and Channel Group Permissions from overwriting it
+ * @class
+ */
+class EffectivePermissions {
+    /**
+     * Creates a new Effective Permissions Calculator
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {number} cldbid - The Client Database ID
+     * @param {number} cid - The Channel ID
+     */
+    constructor(parent, cldbid, cid) {
+        this._parent = parent
+        this._cldbid = cldbid
+        this._cid = cid
+    }
+
+
+    /**
+     * Retrieves all Layers and calculates the effective Permissions
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} Map of permsid to an object with the value, the layer which decided it and the id of the layer
+     */
+    calculate() {
+        return Promise.all([
+            this._getServerGroupPerms(),
+            this._list(this._parent.clientPermList(this._cldbid, true)),
+            this._list(this._parent.channelPermList(this._cid, true)),
+            this._getChannelGroupPerms(),
+            this._list(this._parent.channelClientPermList(this._cid, this._cldbid, true))
+        ]).then(layers => {
+            var result = {}
+            this._applyServerGroups(result, layers[0])
+            this._apply(result, layers[1], "client", this._cldbid, false)
+            this._apply(result, layers[2], "channel", this._cid, true)
+            this._apply(result, layers[3].perms, "channelgroup", layers[3].cgid, true)
+            this._apply(result, layers[4], "channelclient", this._cid, false)
+            return result
+        })
+    }
+
+
+    /**
+     * Applies a Layer to the Result
+     * @version 1.10
+     * @private
+     * @param {object} result - The Result which gets modified
+     * @param {object[]} perms - The Permissions of the Layer
+     * @param {string} layer - The Name of the Layer
+     * @param {number} id - The ID of the Group, Channel or Client the Layer belongs to
+     * @param {boolean} skippable - Whether a skip flag prevents this Layer from overwriting the Permission
+     */
+    _apply(result, perms, layer, id, skippable) {
+        perms.forEach(perm => {
+            var current = result[perm.permsid]
+            if (skippable && current && current.skip) return
+            result[perm.permsid] = {
+                permsid: perm.permsid,
+                value: perm.permvalue,
+                layer: layer,
+                id: id,
+                skip: Boolean(current && current.skip) || Boolean(perm.permskip),
+                negated: Boolean(perm.permnegated)
+            }
+        })
+    }
+
+
+    /**
+     * Combines the Permissions of all Server Groups of the Client
+     * @version 1.10
+     * @private
+     * @param {object} result - The Result which gets modified
+     * @param {object[]} groups - List of objects with the sgid and the perms of every Server Group
+     */
+    _applyServerGroups(result, groups) {
+        var entries = {}
+        groups.forEach(group => {
+            group.perms.forEach(perm => {
+                if (!(perm.permsid in entries)) entries[perm.permsid] = []
+                entries[perm.permsid].push(Object.assign({sgid: group.sgid}, perm))
+            })
+        })
+        Object.keys(entries).forEach(permsid => {
+            var list = entries[permsid]
+            var negated = list.filter(e => e.permnegated)
+            var decider = (negated.length > 0)
+                ? negated.reduce((min, e) => (e.permvalue < min.permvalue) ? e : min)
+                : list.reduce((max, e) => (e.permvalue > max.permvalue) ? e : max)
+            result[permsid] = {
+                permsid: permsid,
+                value: decider.permvalue,
+                layer: "servergroup",
+                id: decider.sgid,
+                skip: list.some(e => e.permskip),
+                negated: negated.length > 0
+            }
+        })
+    }
+
+
+    /**
+     * Retrieves the Permissions of all Server Groups of the Client
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise.<object[]>} List of objects with the sgid and the perms of every Server Group
+     */
+    _getServerGroupPerms() {
+        return this._list(this._parent.serverGroupsByClientId(this._cldbid))
+            .then(groups => Promise.all(groups.map(group => {
+                return this._list(this._parent.serverGroupPermList(group.sgid, true))
+                    .then(perms => {
+                        return {sgid: group.sgid, perms: perms}
+                    })
+            })))
+    }
+
+
+    /**
+     * Retrieves the Permissions of the Channel Group the Client has in the Channel
+     * Falls back to the default Channel Group of the virtual server
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise.<object>} Object with the cgid and its perms
+     */
+    _getChannelGroupPerms() {
+        return this._list(this._parent.channelGroupClientList(null, this._cid, this._cldbid))
+            .then(list => {
+                if (list.length > 0) return list[0].cgid
+                return this._parent.serverInfo().then(info => info.virtualserver_default_channel_group)
+            })
+            .then(cgid => {
+                return this._list(this._parent.channelGroupPermList(cgid, true))
+                    .then(perms => {
+                        return {cgid: cgid, perms: perms}
+                    })
+            })
+    }
+
+
+    /**
+     * Transforms a List Response to an Array and resolves empty Lists with an empty Array
+     * @version 1.10
+     * @private
+     * @async
+     * @param {Promise} promise - The Promise of the List Command
+     * @returns {Promise.<object[]>}
+     */
+    _list(promise) {
+        return promise
+            .then(this._parent.toArray)
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+    }
+
+}
+
+module.exports = EffectivePermissions
@@ -0,0 +1,98 @@
+/**
+ * @file ListIterator.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+/**
+ * Async Iterator which retrieves a List page by page
+ * The next page only gets requested when all entries of the previous page have been consumed,
+ * leaving a for await loop early stops the Iterator without requesting further pages
+ *
+ * The fetch function receives the state of the previous page (undefined for the first page)
+ * and resolves with an object with the entries of the page and the state for the next page (next), null ends the List
+ * @class
+ * @example for await (const entry of ts3.clientDBIterate({pageSize: 200})) console.log(entry.getCache().client_nickname)
+ */
+class ListIterator {
+    /**
+     * Creates a new List Iterator
+     * @version 1.10
+     * @param {function} fetch - Retrieves a page by the state of the previous page
+     */
+    constructor(fetch) {
+        this._fetch = fetch
+        this._buffer = []
+        this._state = undefined
+        this._done = false
+    }
+
+
+    /**
+     * Retrieves the next entry
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} Object with value and done
+     */
+    next() {
+        if (this._buffer.length > 0) return Promise.resolve({value: this._buffer.shift(), done: false})
+        if (this._done) return Promise.resolve({value: undefined, done: true})
+        return this._fetch(this._state)
+            .then(page => {
+                if (this._done) return {value: undefined, done: true}
+                this._state = page.next
+                if (page.next === null) this._done = true
+                this._buffer = this._buffer.concat(page.entries)
+                return this.next()
+            })
+            .catch(e => {
+                this._done = true
+                throw e
+            })
+    }
+
+
+    /**
+     * Stops the Iterator, gets called when a for await loop has been left early
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    return() {
+        this._done = true
+        this._buffer = []
+        return Promise.resolve({value: undefined, done: true})
+    }
+
+
+    /**
+     * Retrieves all remaining entries
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    toArray() {
+        var entries = []
+        var step = () => this.next().then(res => {
+            if (res.done) return entries
+            entries.push(res.value)
+            return step()
+        })
+        return step()
+    }
+
+
+    /**
+     * Returns the Iterator itself so it can be used in a for await loop
+     * @version 1.10
+     * @returns {ListIterator}
+     */
+    [Symbol.asyncIterator]() {
+        return this
+    }
+
+}
+
+module.exports = ListIterator
@@ -0,0 +1,379 @@
+/**
+ * @file LiveState.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const TeamSpeakClient = require(__dirname+"/../property/Client")
+const TeamSpeakChannel = require(__dirname+"/../property/Channel")
+const sortChannels = require(__dirname+"/../helper/sortchannels")
+
+/**
+ * Subscriptions which are needed to keep the State up to date
+ * @ignore
+ */
+const SUBSCRIPTIONS = [
+    {event: "server"},
+    {event: "channel", id: 0}
+]
+
+/**
+ * Live State of the selected virtual server
+ * Gets seeded once from the list commands and is kept up to date from the notifications afterwards
+ * so the channel tree and the clients inside can be read without a query round trip
+ * @class
+ */
+class LiveState {
+    /**
+     * Creates a new Live State
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance which caches should be kept up to date
+     */
+    constructor(parent) {
+        this._parent = parent
+        this._server = {}
+        this._seeding = null
+
+        var query = parent._ts3
+        query.on("cliententerview", this._evcliententerview.bind(this))
+        query.on("clientleftview", this._evclientleftview.bind(this))
+        query.on("clientmoved", this._evclientmoved.bind(this))
+        query.on("channelcreated", this._evchannelcreated.bind(this))
+        query.on("channeledited", this._evchanneledited.bind(this))
+        query.on("channelmoved", this._evchannelmoved.bind(this))
+        query.on("channeldeleted", this._evchanneldeleted.bind(this))
+        query.on("serveredited", this._evserveredited.bind(this))
+        parent.on("reconnected", () => this.seed().catch(e => parent._emitError(e)))
+    }
+
+
+    /**
+     * Subscribes to the needed Events and seeds the State from the list commands
+     * @version 1.10
+     * @async
+     * @returns {Promise.<LiveState>}
+     */
+    seed() {
+        var subscribed = this._parent.getSubscriptions()
+        this._seeding = Promise.all(
+            SUBSCRIPTIONS
+                .filter(sub => !subscribed.some(s => s.event === sub.event && s.id === sub.id))
+                .map(sub => this._parent.registerEvent(sub.event, ("id" in sub) ? sub.id : false))
+        ).then(() => Promise.all([
+            this._parent.serverInfo(),
+            this._parent.channelList(),
+            this._parent.clientList()
+        ])).then(res => {
+            this._server = res[0]
+            return this
+        })
+        return this._seeding
+    }
+
+
+    /**
+     * Waits until the current seeding has been finished
+     * @version 1.10
+     * @async
+     * @returns {Promise.<LiveState>}
+     */
+    ready() {
+        return this._seeding || this.seed()
+    }
+
+
+    /**
+     * Retrieves the Properties of the virtual server
+     * @version 1.10
+     * @returns {object}
+     */
+    getServer() {
+        return this._server
+    }
+
+
+    /**
+     * Retrieves a single Client by its Client ID
+     * @version 1.10
+     * @param {number} clid - The Client ID
+     * @returns {(TeamSpeakClient|undefined)}
+     */
+    getClient(clid) {
+        return this._parent._clients[String(clid)]
+    }
+
+
+    /**
+     * Retrieves all Clients which are currently online
+     * @version 1.10
+     * @returns {TeamSpeakClient[]}
+     */
+    getClients() {
+        var clients = this._parent._clients
+        return Object.keys(clients).map(k => clients[k])
+    }
+
+
+    /**
+     * Retrieves a single Channel by its Channel ID
+     * @version 1.10
+     * @param {number} cid - The Channel ID
+     * @returns {(TeamSpeakChannel|undefined)}
+     */
+    getChannel(cid) {
+        return this._parent._channels[String(cid)]
+    }
+
+
+    /**
+     * Retrieves all Channels
+     * @version 1.10
+     * @returns {TeamSpeakChannel[]}
+     */
+    getChannels() {
+        var channels = this._parent._channels
+        return Object.keys(channels).map(k => channels[k])
+    }
+
+
+    /**
+     * Retrieves all Clients which are inside a Channel
+     * @version 1.10
+     * @param {number} cid - The Channel ID
+     * @returns {TeamSpeakClient[]}
+     */
+    getChannelClients(cid) {
+        return this.getClients().filter(c => c.getCache().cid === cid)
+    }
+
+
+    /**
+     * Retrieves the direct Sub Channels of a Channel in the order they are displayed
+     * @version 1.10
+     * @param {number} [cid=0] - The Channel ID, 0 retrieves the Channels on the top level
+     * @returns {TeamSpeakChannel[]}
+     */
+    getSubChannels(cid = 0) {
+        return sortChannels(this.getChannels().filter(c => c.getCache().pid === cid))
+    }
+
+
+    /**
+     * Retrieves the Channel Tree with the Clients inside every Channel
+     * @version 1.10
+     * @param {number} [cid=0] - The Channel ID to start from, 0 retrieves the whole tree
+     * @returns {object[]} List of Nodes with the channel, its clients and its children
+     */
+    getTree(cid = 0) {
+        return this.getSubChannels(cid).map(channel => {
+            var id = channel.getCache().cid
+            return {
+                channel: channel,
+                clients: this.getChannelClients(id),
+                children: this.getTree(id)
+            }
+        })
+    }
+
+
+    /**
+     * Adds a Client which entered the view
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evcliententerview(ev) {
+        var props = {clid: ev.clid, cid: ev.ctid}
+        Object.keys(ev)
+            .filter(k => k.indexOf("client_") === 0)
+            .forEach(k => props[k] = ev[k])
+        var client = this.getClient(ev.clid)
+        if (client) {
+            client.updateCache(Object.assign({}, client.getCache(), props))
+        } else {
+            this._parent._clients[String(ev.clid)] = new TeamSpeakClient(this._parent, props)
+        }
+        this._countClients(ev.ctid, 1)
+    }
+
+
+    /**
+     * Removes a Client which left the view
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evclientleftview(ev) {
+        delete this._parent._clients[String(ev.clid)]
+        this._countClients(ev.cfid, -1)
+    }
+
+
+    /**
+     * Updates the Channel of a Client
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evclientmoved(ev) {
+        var client = this.getClient(ev.clid)
+        if (!client) return
+        this._countClients(client.getCache().cid, -1)
+        this._countClients(ev.ctid, 1)
+        client.updateCache(Object.assign({}, client.getCache(), {cid: ev.ctid}))
+    }
+
+
+    /**
+     * Adds a newly created Channel
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evchannelcreated(ev) {
+        var props = {cid: ev.cid, pid: ev.cpid, total_clients: 0}
+        Object.keys(ev)
+            .filter(k => k.indexOf("channel_") === 0)
+            .forEach(k => props[k] = ev[k])
+        var channel = this.getChannel(ev.cid)
+        if (channel) {
+            channel.updateCache(Object.assign({}, channel.getCache(), props))
+        } else {
+            channel = new TeamSpeakChannel(this._parent, props)
+            this._parent._channels[String(ev.cid)] = channel
+        }
+        this._insertChannel(channel, ev.cpid, props.channel_order || 0)
+    }
+
+
+    /**
+     * Applies the modified Properties of a Channel
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evchanneledited(ev) {
+        var channel = this.getChannel(ev.cid)
+        if (!channel) return
+        var props = {}
+        Object.keys(ev)
+            .filter(k => k.indexOf("channel_") === 0 && k !== "channel_order")
+            .forEach(k => props[k] = ev[k])
+        channel.updateCache(Object.assign({}, channel.getCache(), props))
+        if (!("channel_order" in ev)) return
+        this._removeChannel(channel)
+        this._insertChannel(channel, channel.getCache().pid, ev.channel_order)
+    }
+
+
+    /**
+     * Moves a Channel to its new Position
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evchannelmoved(ev) {
+        var channel = this.getChannel(ev.cid)
+        if (!channel) return
+        this._removeChannel(channel)
+        this._insertChannel(channel, ev.cpid, ev.order)
+    }
+
+
+    /**
+     * Removes a deleted Channel and all of its Sub Channels
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evchanneldeleted(ev) {
+        var channel = this.getChannel(ev.cid)
+        if (!channel) return
+        this._removeChannel(channel)
+        var remove = [ev.cid]
+        while (remove.length > 0) {
+            var cid = remove.shift()
+            this.getChannels()
+                .filter(c => c.getCache().pid === cid)
+                .forEach(c => remove.push(c.getCache().cid))
+            delete this._parent._channels[String(cid)]
+        }
+    }
+
+
+    /**
+     * Applies the modified Properties of the virtual server
+     * @version 1.10
+     * @private
+     * @param {object} ev - The Notification Data
+     */
+    _evserveredited(ev) {
+        Object.keys(ev)
+            .filter(k => k.indexOf("virtualserver_") === 0)
+            .forEach(k => this._server[k] = ev[k])
+    }
+
+
+    /**
+     * Changes the Client count of a Channel
+     * @version 1.10
+     * @private
+     * @param {number} cid - The Channel ID
+     * @param {number} diff - The amount of Clients which joined or left
+     */
+    _countClients(cid, diff) {
+        var channel = this.getChannel(cid)
+        if (!channel || typeof channel.getCache().total_clients !== "number") return
+        channel.updateCache(Object.assign({}, channel.getCache(), {
+            total_clients: Math.max(channel.getCache().total_clients + diff, 0)
+        }))
+    }
+
+
+    /**
+     * Removes a Channel from its sort order, the Channel below takes over its position
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The Channel which gets removed
+     */
+    _removeChannel(channel) {
+        var cache = channel.getCache()
+        var below = this.getSubChannels(cache.pid)
+            .find(c => c !== channel && c.getCache().channel_order === cache.cid)
+        if (below) this._setPosition(below, cache.pid, cache.channel_order)
+    }
+
+
+    /**
+     * Inserts a Channel into the sort order of a Parent Channel
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The Channel which gets inserted
+     * @param {number} pid - The Parent Channel ID
+     * @param {number} order - The Channel ID of the Channel above, 0 for the first position
+     */
+    _insertChannel(channel, pid, order) {
+        var below = this.getSubChannels(pid)
+            .find(c => c !== channel && c.getCache().channel_order === order)
+        if (below) this._setPosition(below, pid, channel.getCache().cid)
+        this._setPosition(channel, pid, order)
+    }
+
+
+    /**
+     * Sets the Parent and the Sort Order of a Channel
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel} channel - The Channel which should get updated
+     * @param {number} pid - The Parent Channel ID
+     * @param {number} order - The Channel ID of the Channel above
+     */
+    _setPosition(channel, pid, order) {
+        channel.updateCache(Object.assign({}, channel.getCache(), {pid: pid, channel_order: order}))
+    }
+
+}
+
+module.exports = LiveState
@@ -0,0 +1,101 @@
+/**
+ * @file LogTail.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Poller = require(__dirname+"/Poller")
+
+/**
+ * Polls the servers log and emits every line which has been written since the last poll as logentry Event
+ * The newest line of the first poll is known, only lines which get written afterwards get emitted
+ * Every poll pages backward until it reaches the newest known line, but reads at most maxLines lines
+ * @extends Poller
+ * @class
+ */
+class LogTail extends Poller {
+    /**
+     * Creates a new Log Tail
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {object} options - The Options
+     * @param {number} options.interval - The Time between two polls (in ms)
+     * @param {number} options.instance - Instance or Virtual Server Log
+     * @param {number} options.maxLines - The maximum amount of lines which get read per poll
+     */
+    constructor(parent, options) {
+        super(parent, options.interval)
+        this._instance = options.instance
+        this._maxLines = options.maxLines
+    }
+
+
+    /**
+     * Forgets the newest known line, the next poll only remembers the newest line
+     * Gets used after another virtual server has been selected, the instance log stays the same
+     * @version 1.10
+     */
+    reset() {
+        if (!this._instance) super.reset()
+    }
+
+
+    /**
+     * Retrieves the lines which have been written since the last poll and emits them from the oldest to the newest
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands in the background lane
+     * @returns {Promise.<object[]>} The emitted log entries
+     */
+    _poll(query) {
+        var last = this._state
+        var entries = []
+        var iterator = query.logViewIterate({
+            pageSize: (last === null) ? 1 : Math.min(100, this._maxLines),
+            instance: this._instance
+        })
+        var step = () => {
+            if (entries.length >= this._maxLines) return iterator.return()
+            return iterator.next().then(res => {
+                if (res.done) return
+                if (last === null || res.value.line === last) {
+                    if (last === null) this._state = res.value.line
+                    return iterator.return()
+                }
+                entries.push(res.value)
+                return step()
+            })
+        }
+        return step()
+            .then(() => {
+                if (last === null && this._state === null) this._state = ""
+                if (last === null) return []
+                if (entries.length > 0) this._state = entries[0].line
+                entries.reverse()
+                /**
+                 * Log Entry Event
+                 * Gets fired for every line which has been written into the servers log while tailLog is active
+                 *
+                 * @event TeamSpeak3#logentry
+                 * @memberof TeamSpeak3
+                 * @type {object}
+                 * @property {Date} timestamp - The Time the line has been written (null if the line could not be parsed)
+                 * @property {string} level - The Log Level (ERROR, WARNING, INFO, DEBUG or DEVELOP)
+                 * @property {string} channel - The Log Channel, for example VirtualServerBase
+                 * @property {number} virtualServerId - The ID of the virtual server (null for instance entries)
+                 * @property {string} message - The Message of the line
+                 * @property {string} line - The unparsed line
+                 * @property {string} type - The recognized kind of entry (clientconnect, clientdisconnect, banadd, bandel, permission, servergroupadd or servergroupdel), null if unknown
+                 * @property {object} data - The values which have been extracted from a recognized entry
+                 */
+                entries.forEach(entry => this._parent.emit("logentry", entry))
+                return entries
+            })
+    }
+
+}
+
+module.exports = LogTail
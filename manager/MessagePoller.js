@@ -0,0 +1,50 @@
+/**
+ * @file MessagePoller.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Poller = require(__dirname+"/Poller")
+
+/**
+ * Polls the Inbox of the Query Account since the Server sends no notification for Offline Messages
+ * The Messages which are in the Inbox on the first poll are known, every Message which arrives afterwards
+ * gets emitted as offlinemessage Event on the TeamSpeak Instance
+ * @extends Poller
+ * @class
+ */
+class MessagePoller extends Poller {
+    /**
+     * Retrieves the Inbox and emits the new Messages
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands in the background lane
+     * @returns {Promise.<TeamSpeakMessage[]>} The new Messages
+     */
+    _poll(query) {
+        return query.messageList()
+            .then(messages => {
+                var known = this._state
+                this._state = messages.map(m => m.getID())
+                if (known === null) return []
+                var added = messages.filter(m => known.indexOf(m.getID()) < 0)
+                /**
+                 * Offline Message Event
+                 * Gets fired when a new Message arrives in the Inbox of the Query Account
+                 *
+                 * @event TeamSpeak3#offlinemessage
+                 * @memberof TeamSpeak3
+                 * @type {object}
+                 * @property {TeamSpeakMessage} message - The new Message
+                 */
+                added.forEach(message => this._parent.emit("offlinemessage", {message: message}))
+                return added
+            })
+    }
+
+}
+
+module.exports = MessagePoller
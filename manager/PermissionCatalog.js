@@ -0,0 +1,187 @@
+/**
+ * @file PermissionCatalog.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+/**
+ * Prefix of the Permissions which define the power needed to grant another Permission
+ * @ignore
+ */
+const GRANT_PREFIX = "i_needed_modify_power_"
+
+/**
+ * Error ID the Server responds with when the Query is not allowed to retrieve the Permission List
+ * @ignore
+ */
+const INSUFFICIENT_PERMISSIONS = 2568
+
+/**
+ * Catalog of all Permissions the TeamSpeak Server knows
+ * Gets loaded once per connection and resolves Permission Names and IDs without a query round trip
+ * @class
+ */
+class PermissionCatalog {
+    /**
+     * Creates a new Permission Catalog
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     */
+    constructor(parent) {
+        this._parent = parent
+        this._loading = null
+        this._byId = {}
+        this._byName = {}
+    }
+
+
+    /**
+     * Loads the Permission List, subsequent calls resolve with the already loaded Catalog
+     * When the Query is not allowed to retrieve the List the error gets emitted once and every call rejects with it until the Catalog gets reset,
+     * every other error (like a timeout or a flood ban) gets emitted and the List gets loaded again on the next call
+     * @version 1.10
+     * @async
+     * @param {TeamSpeak3} [query] - The TeamSpeak Instance which sends the Command, so it uses the lane of the caller
+     * @returns {Promise.<PermissionCatalog>}
+     */
+    load(query = this._parent) {
+        if (this._loading) return this._loading
+        var loading = query.permissionList()
+            .then(this._parent.toArray)
+            .then(list => {
+                list = list.filter(p => typeof p.permname === "string")
+                if (list.length === 0) throw new Error("The Permission List is empty")
+                this._byId = {}
+                this._byName = {}
+                list.forEach(p => {
+                    var perm = {
+                        permid: p.permid,
+                        permsid: p.permname,
+                        permdesc: p.permdesc,
+                        type: PermissionCatalog.getType(p.permname)
+                    }
+                    this._byId[perm.permid] = perm
+                    this._byName[perm.permsid] = perm
+                })
+                return this
+            })
+        loading.catch(e => {
+            if (e.id === INSUFFICIENT_PERMISSIONS)
+                return this._parent._emitError(new Error("The Permission Catalog could not be loaded, Permissions will not get validated until the next reconnect: "+e.message))
+            if (this._loading === loading) this._loading = null
+            this._parent._emitError(new Error("The Permission Catalog could not be loaded, it will be loaded again on the next use: "+e.message))
+        })
+        this._loading = loading
+        return loading
+    }
+
+
+    /**
+     * Clears the Catalog so it gets loaded again on the next use
+     * @version 1.10
+     */
+    reset() {
+        this._loading = null
+        this._byId = {}
+        this._byName = {}
+    }
+
+
+    /**
+     * Retrieves a Permission by its ID or Name
+     * @version 1.10
+     * @param {(string|number)} perm - The permid or permsid
+     * @returns {(object|undefined)} Object with permid, permsid, permdesc and type
+     */
+    get(perm) {
+        if (PermissionCatalog.isName(perm)) return this._byName[perm]
+        return this._byId[Number(perm)]
+    }
+
+
+    /**
+     * Retrieves the ID of a Permission
+     * @version 1.10
+     * @param {(string|number)} perm - The permid or permsid
+     * @returns {(number|undefined)}
+     */
+    getId(perm) {
+        var entry = this.get(perm)
+        return entry ? entry.permid : undefined
+    }
+
+
+    /**
+     * Retrieves the Name of a Permission
+     * @version 1.10
+     * @param {(string|number)} perm - The permid or permsid
+     * @returns {(string|undefined)}
+     */
+    getName(perm) {
+        var entry = this.get(perm)
+        return entry ? entry.permsid : undefined
+    }
+
+
+    /**
+     * Retrieves all Permissions of the Catalog
+     * @version 1.10
+     * @returns {object[]}
+     */
+    getAll() {
+        return Object.keys(this._byId).map(id => this._byId[id])
+    }
+
+
+    /**
+     * Checks if a Permission exists and if the Value fits its type
+     * @version 1.10
+     * @param {(string|number)} perm - The permid or permsid
+     * @param {(number|boolean)} [value] - The Value which should get validated
+     * @returns {(number|undefined)} The normalized Value
+     */
+    validate(perm, value) {
+        var entry = this.get(perm)
+        if (!entry) throw new Error("Unknown Permission \""+perm+"\" given!")
+        if (value === undefined) return
+        if (entry.type === "bool") {
+            if ([0, 1, true, false].indexOf(value) < 0)
+                throw new Error("Invalid Value \""+value+"\" for Permission "+entry.permsid+" given! Expected 0 or 1")
+            return Number(value)
+        }
+        if (!Number.isInteger(Number(value)) || typeof value === "boolean" || value === "")
+            throw new Error("Invalid Value \""+value+"\" for Permission "+entry.permsid+" given! Expected an integer")
+        return Number(value)
+    }
+
+
+    /**
+     * Checks if a Permission has been given by its Name
+     * @version 1.10
+     * @static
+     * @param {(string|number)} perm - The permid or permsid
+     * @returns {boolean}
+     */
+    static isName(perm) {
+        return typeof perm === "string" && isNaN(perm)
+    }
+
+
+    /**
+     * Retrieves the Type of a Permission by its Name
+     * @version 1.10
+     * @static
+     * @param {string} permsid - The Permission Name
+     * @returns {string} One of bool, int or grant
+     */
+    static getType(permsid) {
+        if (permsid.indexOf(GRANT_PREFIX) === 0) return "grant"
+        if (permsid.indexOf("b_") === 0) return "bool"
+        return "int"
+    }
+
+}
+
+module.exports = PermissionCatalog
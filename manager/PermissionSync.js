@@ -0,0 +1,170 @@
+/**
+ * @file PermissionSync.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const TeamSpeakClient = require(__dirname+"/../property/Client")
+const TeamSpeakChannel = require(__dirname+"/../property/Channel")
+const TeamSpeakServerGroup = require(__dirname+"/../property/ServerGroup")
+const TeamSpeakChannelGroup = require(__dirname+"/../property/ChannelGroup")
+const PermissionCatalog = require(__dirname+"/PermissionCatalog")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Commands and supported flags of every Permission Target
+ * @ignore
+ */
+const TARGETS = {
+    sgid: {list: "servergrouppermlist", add: "servergroupaddperm", del: "servergroupdelperm", flags: ["permskip", "permnegated"]},
+    cgid: {list: "channelgrouppermlist", add: "channelgroupaddperm", del: "channelgroupdelperm", flags: []},
+    cid: {list: "channelpermlist", add: "channeladdperm", del: "channeldelperm", flags: []},
+    cldbid: {list: "clientpermlist", add: "clientaddperm", del: "clientdelperm", flags: ["permskip"]}
+}
+
+/**
+ * Compares the Permissions of a Server Group, Channel Group, Channel or Client with a desired Permission Map
+ * and sends the minimal set of changes as multi row commands
+ * @class
+ */
+class PermissionSync {
+    /**
+     * Creates a new Permission Sync
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|TeamSpeakChannel|TeamSpeakClient|object)} target - The Target
+     *        or an object with one of the keys sgid, cgid, cid or cldbid
+     */
+    constructor(parent, target) {
+        this._parent = parent
+        this._target = PermissionSync.resolveTarget(target)
+        this._type = TARGETS[Object.keys(this._target)[0]]
+    }
+
+
+    /**
+     * Computes the Permissions which need to be added and removed
+     * Rejects when the Permission Catalog can not be loaded and a Permission has been given by its ID
+     * @version 1.10
+     * @async
+     * @param {object} desired - Map of permsid or permid to the value or to an object with value, skip and negate
+     * @returns {Promise.<object>} Object with the rows which get added (add) and the permsids which get removed (del)
+     */
+    diff(desired) {
+        return Promise.all([
+            this._parent.permissionCatalog().catch(e => {
+                //Permission IDs can not be compared with the current Permissions without the Catalog
+                if (Object.keys(desired).some(perm => !PermissionCatalog.isName(perm))) throw e
+                return null
+            }),
+            this._parent.execute(this._type.list, Object.assign({}, this._target), ["-permsid"])
+                .then(this._parent.toArray)
+                .catch(e => {
+                    if (e.id === EMPTY_RESULT) return []
+                    throw e
+                })
+        ]).then(res => {
+            var current = res[1]
+            desired = this._normalize(desired, res[0])
+            var add = []
+            Object.keys(desired).forEach(permsid => {
+                var row = this._createRow(permsid, desired[permsid])
+                var perm = current.find(p => p.permsid === permsid)
+                if (!perm || ["permvalue"].concat(this._type.flags).some(k => (perm[k] || 0) !== row[k]))
+                    add.push(row)
+            })
+            var del = current
+                .filter(perm => !(perm.permsid in desired))
+                .map(perm => perm.permsid)
+            return {add: add, del: del}
+        })
+    }
+
+
+    /**
+     * Applies a desired Permission Map, every Permission which is not in the Map gets removed
+     * @version 1.10
+     * @async
+     * @param {object} desired - Map of permsid or permid to the value or to an object with value, skip and negate
+     * @returns {Promise.<object>} Object with the rows which have been added (add) and the permsids which have been removed (del)
+     */
+    sync(desired) {
+        return this.diff(desired).then(diff => {
+            var exec = []
+            if (diff.del.length > 0)
+                exec.push(this._parent.execute(this._type.del, Object.assign({}, this._target), diff.del.map(permsid => {
+                    return {permsid: permsid}
+                })))
+            if (diff.add.length > 0)
+                exec.push(this._parent.execute(this._type.add, Object.assign({}, this._target), diff.add))
+            return Promise.all(exec).then(() => diff)
+        })
+    }
+
+
+    /**
+     * Resolves Permission IDs to their Names and validates the Values with the Permission Catalog
+     * @version 1.10
+     * @private
+     * @param {object} desired - Map of permsid or permid to the value or to an object with value, skip and negate
+     * @param {PermissionCatalog} [catalog] - The loaded Permission Catalog
+     * @returns {object} Map of permsid to the value or to an object with value, skip and negate
+     */
+    _normalize(desired, catalog) {
+        if (!catalog) return desired
+        var normalized = {}
+        Object.keys(desired).forEach(perm => {
+            var value = desired[perm]
+            catalog.validate(perm, (value !== null && typeof value === "object") ? value.value : value)
+            normalized[catalog.getName(perm)] = value
+        })
+        return normalized
+    }
+
+
+    /**
+     * Creates the Row which gets sent for a Permission
+     * @version 1.10
+     * @private
+     * @param {string} permsid - The Permission Name
+     * @param {(number|boolean|object)} value - The desired Value or an object with value, skip and negate
+     * @returns {object}
+     */
+    _createRow(permsid, value) {
+        if (value === null || typeof value !== "object") value = {value: value}
+        var row = {permsid: permsid, permvalue: Number(value.value)}
+        if (this._type.flags.indexOf("permskip") >= 0) row.permskip = value.skip ? 1 : 0
+        if (this._type.flags.indexOf("permnegated") >= 0) row.permnegated = value.negate ? 1 : 0
+        return row
+    }
+
+
+    /**
+     * Retrieves the identifying Parameter of a Permission Target
+     * @version 1.10
+     * @static
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|TeamSpeakChannel|TeamSpeakClient|object)} target - The Target
+     * @returns {object} Object with one of the keys sgid, cgid, cid or cldbid
+     */
+    static resolveTarget(target) {
+        if (target instanceof TeamSpeakServerGroup) return {sgid: target.getCache().sgid}
+        if (target instanceof TeamSpeakChannelGroup) return {cgid: target.getCache().cgid}
+        if (target instanceof TeamSpeakChannel) return {cid: target.getCache().cid}
+        if (target instanceof TeamSpeakClient) return {cldbid: target.getCache().client_database_id}
+        var key = Object.keys(TARGETS).find(k => target !== null && typeof target === "object" && k in target)
+        if (!key) throw new Error("Invalid Permission Target given! Expected a Group, Channel, Client or one of "+Object.keys(TARGETS).join(", "))
+        var resolved = {}
+        resolved[key] = target[key]
+        return resolved
+    }
+
+}
+
+module.exports = PermissionSync
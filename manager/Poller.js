@@ -0,0 +1,98 @@
+/**
+ * @file Poller.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+/**
+ * Base of the Managers which poll the Server for changes the Server sends no notification for
+ * The first poll only remembers the current state, the following polls emit what has changed since
+ * Polls get sent in the background lane and are skipped while the Query is not ready or the previous poll is still running
+ * @class
+ */
+class Poller {
+    /**
+     * Creates a new Poller
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     * @param {number} interval - The Time between two polls (in ms)
+     */
+    constructor(parent, interval) {
+        this._parent = parent
+        this._interval = interval
+        this._timer = null
+        this._state = null
+        this._polling = false
+    }
+
+
+    /**
+     * Starts polling
+     * @version 1.10
+     */
+    start() {
+        if (this._timer) return
+        this._timer = setInterval(() => this.poll(), this._interval)
+        this.poll()
+    }
+
+
+    /**
+     * Stops polling
+     * @version 1.10
+     */
+    stop() {
+        clearInterval(this._timer)
+        this._timer = null
+    }
+
+
+    /**
+     * Forgets the known state, the next poll only remembers the state again
+     * Gets used after another virtual server has been selected
+     * @version 1.10
+     */
+    reset() {
+        this._state = null
+    }
+
+
+    /**
+     * Polls the Server once, an error gets emitted as error Event when there is a Listener for it
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>} The emitted Events
+     */
+    poll() {
+        if (this._polling || !this._parent._ready) return Promise.resolve([])
+        this._polling = true
+        return this._poll(this._parent.withOptions({priority: "background"}))
+            .then(events => {
+                this._polling = false
+                return events
+            })
+            .catch(e => {
+                this._polling = false
+                this._parent._emitError(e)
+                return []
+            })
+    }
+
+
+    /**
+     * Retrieves the current state and emits the changes, gets implemented by every Poller
+     * @version 1.10
+     * @private
+     * @async
+     * @param {TeamSpeak3} query - The TeamSpeak Instance which sends the Commands in the background lane
+     * @returns {Promise.<object[]>} The emitted Events
+     */
+    _poll(query) {
+        return Promise.reject(new Error("_poll has not been implemented"))
+    }
+
+}
+
+module.exports = Poller
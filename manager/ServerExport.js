@@ -0,0 +1,368 @@
+/**
+ * @file ServerExport.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const ChannelLayout = require(__dirname+"/ChannelLayout")
+const PermissionSync = require(__dirname+"/PermissionSync")
+const sortChannels = require(__dirname+"/../helper/sortchannels")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Version of the exported Configuration
+ * @ignore
+ */
+const EXPORT_VERSION = 1
+
+/**
+ * Type of the regular Groups, template and query Groups belong to the instance and do not get imported
+ * @ignore
+ */
+const REGULAR_GROUP = 1
+
+/**
+ * Properties of the virtual server which change while it is running
+ * @ignore
+ */
+const VOLATILE_SERVER = /^(connection_|virtualserver_(clientsonline|queryclientsonline|channelsonline|uptime|total_|month_bytes_|client_connections|query_client_connections|status))/
+
+/**
+ * Properties of a Channel which change while the server is running
+ * @ignore
+ */
+const VOLATILE_CHANNEL = /^(total_clients|seconds_empty|channel_flag_are_subscribed)/
+
+/**
+ * Properties of the virtual server which can not be set or have to be mapped to the new IDs
+ * @ignore
+ */
+const READONLY_SERVER = /^virtualserver_(id|unique_identifier|platform|version|created|filebase|machine_id|port|ip|flag_password|ask_for_privilegekey|default_\w*group)$/
+
+/**
+ * Properties of a Channel which can not be set or are part of the Channel Layout
+ * @ignore
+ */
+const READONLY_CHANNEL = [
+    "cid", "pid", "cpid", "channel_order", "channel_name", "channel_password", "channel_flag_password",
+    "channel_filepath", "channel_security_salt", "channel_unique_identifier", "channel_forced_silence",
+    "channel_needed_subscribe_power", "permissions"
+]
+
+/**
+ * Reads and recreates the Configuration of a virtual server
+ * which consists of the server settings, the Channels, the Server Groups and the Channel Groups with their Permissions
+ *
+ * Permissions get exported as Map of permsid to the value,
+ * if a skip or negate flag is set the Permission is an object with value, skip and negate
+ * @class
+ */
+class ServerExport {
+    /**
+     * Creates a new Server Export
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     */
+    constructor(parent) {
+        this._parent = parent
+    }
+
+
+    /**
+     * Reads the Configuration of the selected virtual server
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>} Object with version, created, server, channels, servergroups and channelgroups
+     */
+    export() {
+        return Promise.all([
+            this._parent.serverInfo(),
+            this._exportChannels(),
+            this._exportGroups(this._parent.serverGroupList(), "sgid", sgid => this._parent.serverGroupPermList(sgid, true)),
+            this._exportGroups(this._parent.channelGroupList(), "cgid", cgid => this._parent.channelGroupPermList(cgid, true))
+        ]).then(res => {
+            return {
+                version: EXPORT_VERSION,
+                created: new Date().toISOString(),
+                server: ServerExport._strip(res[0], VOLATILE_SERVER),
+                channels: res[1],
+                servergroups: res[2],
+                channelgroups: res[3]
+            }
+        })
+    }
+
+
+    /**
+     * Recreates an exported Configuration on the selected virtual server
+     * Groups get matched by their name and type, missing Groups get created and their Permissions get replaced,
+     * Channels get applied as Channel Layout
+     * @version 1.10
+     * @async
+     * @param {object} data - The Configuration which has been created by export()
+     * @param {object} [options] - The Options
+     * @param {boolean} [options.create=false] - Whether a new virtual server should get created and selected
+     * @param {object} [options.properties] - Server Settings which overwrite the exported ones
+     * @param {boolean} [options.deleteUnknown=false] - Whether Channels which are not in the Configuration should get deleted
+     * @returns {Promise.<object>} Object with the mapping of the old to the new IDs (servergroups, channelgroups and channels)
+     *          and the Steps which have been applied to the Channels, the created server and its token when create has been set
+     */
+    import(data, options = {}) {
+        if (!ServerExport.isSupported(data))
+            return Promise.reject(new Error("Unsupported Configuration given! Expected an export with version "+EXPORT_VERSION+" or lower"))
+        var result = {}
+        return (options.create ? this._createServer(data.server, options.properties) : Promise.resolve({}))
+            .then(created => {
+                result = created
+                return this._importGroups(data.servergroups || [], "sgid", this._parent.serverGroupList(), (name, type) => this._parent.serverGroupCreate(name, type))
+            })
+            .then(mapping => {
+                result.servergroups = mapping
+                return this._importGroups(data.channelgroups || [], "cgid", this._parent.channelGroupList(), (name, type) => this._parent.channelGroupCreate(name, type))
+            })
+            .then(mapping => {
+                result.channelgroups = mapping
+                return this._parent.serverEdit(Object.assign(this._getServerSettings(data.server || {}, result), options.properties))
+            })
+            .then(() => {
+                var layout = new ChannelLayout(this._parent, this._getLayout(data.channels || [], 0), {deleteUnknown: options.deleteUnknown})
+                return layout.plan().then(steps => layout.apply(steps))
+            })
+            .then(steps => {
+                result.steps = steps
+                return this._parent.channelList()
+            })
+            .then(channels => {
+                var paths = ServerExport._getPaths(channels.map(c => c.getCache()))
+                var old = ServerExport._getPaths(data.channels || [])
+                result.channels = {}
+                Object.keys(old).forEach(cid => {
+                    var match = Object.keys(paths).find(k => paths[k] === old[cid])
+                    if (match !== undefined) result.channels[cid] = Number(match)
+                })
+                return result
+            })
+    }
+
+
+    /**
+     * Creates a new virtual server and selects it
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object} [server] - The exported Server Settings
+     * @param {object} [properties] - Server Settings which overwrite the exported ones
+     * @returns {Promise.<object>} Object with the created server and its token
+     */
+    _createServer(server = {}, properties = {}) {
+        var settings = {virtualserver_name: server.virtualserver_name}
+        return this._parent.serverCreate(Object.assign(settings, properties))
+            .then(created => {
+                return this._parent.useBySid(created.server.getCache().virtualserver_id)
+                    .then(() => created)
+            })
+    }
+
+
+    /**
+     * Creates the missing Groups and replaces the Permissions of all Groups
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object[]} groups - The exported Groups
+     * @param {string} key - The Name of the Group ID
+     * @param {Promise} list - The Promise of the Group List of the selected virtual server
+     * @param {function} create - Creates a Group by its name and type
+     * @returns {Promise.<object>} Mapping of the old to the new Group IDs
+     */
+    _importGroups(groups, key, list, create) {
+        var mapping = {}
+        return list.then(existing => {
+            return groups
+                .filter(group => Number(group.type) === REGULAR_GROUP)
+                .reduce((chain, group) => chain.then(() => {
+                    var match = existing.find(g => g.getCache().name === group.name && Number(g.getCache().type) === REGULAR_GROUP)
+                    return (match ? Promise.resolve(match) : create(group.name, REGULAR_GROUP))
+                        .then(created => {
+                            var target = {}
+                            target[key] = created.getCache()[key]
+                            mapping[group[key]] = target[key]
+                            return new PermissionSync(this._parent, target).sync(group.permissions || {})
+                        })
+                }), Promise.resolve())
+        }).then(() => mapping)
+    }
+
+
+    /**
+     * Retrieves the Server Settings which can be set and maps the default Groups to their new IDs
+     * @version 1.10
+     * @private
+     * @param {object} server - The exported Server Settings
+     * @param {object} mapping - Object with the mapping of the servergroups and channelgroups
+     * @returns {object}
+     */
+    _getServerSettings(server, mapping) {
+        var settings = ServerExport._strip(server, READONLY_SERVER)
+        Object.keys(server)
+            .filter(k => /^virtualserver_default_\w*group$/.test(k))
+            .forEach(k => {
+                var groups = (k.indexOf("channel") >= 0) ? mapping.channelgroups : mapping.servergroups
+                if (server[k] in groups) settings[k] = groups[server[k]]
+            })
+        return settings
+    }
+
+
+    /**
+     * Creates the Channel Layout of the exported Channels below a Parent Channel
+     * @version 1.10
+     * @private
+     * @param {object[]} channels - The exported Channels
+     * @param {number} pid - The ID of the Parent Channel
+     * @returns {object[]} The Channel Nodes
+     */
+    _getLayout(channels, pid) {
+        return sortChannels(channels.filter(c => c.pid === pid)).map(channel => {
+            var properties = {}
+            Object.keys(channel)
+                .filter(k => READONLY_CHANNEL.indexOf(k) < 0)
+                .filter(k => k !== "channel_flag_default" || Boolean(channel[k]))
+                .forEach(k => properties[k] = channel[k])
+            return {
+                name: channel.channel_name,
+                properties: properties,
+                permissions: channel.permissions || {},
+                children: this._getLayout(channels, channel.cid)
+            }
+        })
+    }
+
+
+    /**
+     * Reads all Channels with their full Properties and Permissions
+     * @version 1.10
+     * @private
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    _exportChannels() {
+        return this._parent.channelList().then(channels => Promise.all(channels.map(channel => {
+            var cid = channel.getCache().cid
+            return Promise.all([
+                this._parent.channelInfo(cid),
+                this._permissions(this._parent.channelPermList(cid, true))
+            ]).then(res => {
+                var props = ServerExport._strip(Object.assign({}, res[0], channel.getCache()), VOLATILE_CHANNEL)
+                return Object.assign(props, {permissions: res[1]})
+            })
+        })))
+    }
+
+
+    /**
+     * Reads all Groups of a Group List with their Permissions
+     * @version 1.10
+     * @private
+     * @async
+     * @param {Promise} list - The Promise of the Group List
+     * @param {string} key - The Name of the Group ID
+     * @param {function} permList - Retrieves the Permissions of a Group by its ID
+     * @returns {Promise.<object[]>}
+     */
+    _exportGroups(list, key, permList) {
+        return list.then(groups => Promise.all(groups.map(group => {
+            var props = Object.assign({}, group.getCache())
+            return this._permissions(permList(props[key]))
+                .then(perms => Object.assign(props, {permissions: perms}))
+        })))
+    }
+
+
+    /**
+     * Transforms a Permission List to a Map of permsid to the value
+     * @version 1.10
+     * @private
+     * @async
+     * @param {Promise} promise - The Promise of the Permission List
+     * @returns {Promise.<object>}
+     */
+    _permissions(promise) {
+        return promise
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+            .then(perms => {
+                var map = {}
+                perms.forEach(perm => {
+                    map[perm.permsid] = (perm.permskip || perm.permnegated)
+                        ? {value: perm.permvalue, skip: Boolean(perm.permskip), negate: Boolean(perm.permnegated)}
+                        : perm.permvalue
+                })
+                return map
+            })
+    }
+
+
+    /**
+     * Checks if a Configuration can be read by this Version
+     * @version 1.10
+     * @static
+     * @param {object} data - The exported Configuration
+     * @returns {boolean}
+     */
+    static isSupported(data) {
+        return data !== null && typeof data === "object" && !(data.version > EXPORT_VERSION)
+    }
+
+
+    /**
+     * Retrieves the Paths of Channel Names of all Channels
+     * @version 1.10
+     * @private
+     * @static
+     * @param {object[]} channels - The Properties of the Channels
+     * @returns {object} Map of cid to the Path
+     */
+    static _getPaths(channels) {
+        var paths = {}
+        var getPath = channel => {
+            if (!(channel.cid in paths)) {
+                var parent = channels.find(c => c.cid === channel.pid)
+                paths[channel.cid] = (parent ? getPath(parent)+"/" : "")+encodeURIComponent(channel.channel_name)
+            }
+            return paths[channel.cid]
+        }
+        channels.forEach(getPath)
+        return paths
+    }
+
+
+    /**
+     * Copies an object without the Properties which match a Pattern
+     * @version 1.10
+     * @private
+     * @static
+     * @param {object} props - The Properties
+     * @param {RegExp} pattern - The Pattern of the Properties which should get removed
+     * @returns {object}
+     */
+    static _strip(props, pattern) {
+        var res = {}
+        Object.keys(props)
+            .filter(k => !pattern.test(k))
+            .forEach(k => res[k] = props[k])
+        return res
+    }
+
+}
+
+module.exports = ServerExport
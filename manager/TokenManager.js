@@ -0,0 +1,281 @@
+/**
+ * @file TokenManager.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Response = require(__dirname+"/../transport/Response")
+const escape = require(__dirname+"/../helper/escape")
+const TeamSpeakChannelGroup = require(__dirname+"/../property/ChannelGroup")
+
+/**
+ * Error id which gets returned by the Server when a list is empty
+ * @ignore
+ */
+const EMPTY_RESULT = 1281
+
+/**
+ * Prefix of a Token Description which contains the Metadata of the Token Manager
+ * @ignore
+ */
+const META_PREFIX = "ts3meta:"
+
+/**
+ * Token Type of a Server Group Token
+ * @ignore
+ */
+const SERVER_GROUP_TOKEN = 0
+
+/**
+ * Token Type of a Channel Group Token
+ * @ignore
+ */
+const CHANNEL_GROUP_TOKEN = 1
+
+/**
+ * Creates, lists and revokes Privilege Keys
+ *
+ * The description, the metadata and the expiry date of a Token get stored in the Token Description,
+ * the Server does not know about the expiry date so expired Tokens have to be revoked by revokeExpired()
+ * @class
+ */
+class TokenManager {
+    /**
+     * Creates a new Token Manager
+     * @version 1.10
+     * @param {TeamSpeak3} parent - The TeamSpeak Instance
+     */
+    constructor(parent) {
+        this._parent = parent
+        this._known = {}
+    }
+
+
+    /**
+     * Creates one or more Tokens
+     * @version 1.10
+     * @async
+     * @param {object} options - The Options
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|number)} options.group - The Group the Token grants
+     * @param {(TeamSpeakChannel|number)} [options.channel] - The Channel of a Channel Group Token, a Channel Group Token gets created when it is set
+     * @param {string} [options.description] - The Description of the Token
+     * @param {(object|string)} [options.customset] - Map of custom client properties (ident => value) which get set when the Token gets used
+     * @param {number} [options.ttl] - Time in seconds after which the Token expires
+     * @param {object} [options.meta] - JSON serializable Metadata which gets stored with the Token
+     * @param {number} [options.count=1] - The amount of Tokens which should get created
+     * @returns {Promise.<object[]>} The created Tokens
+     */
+    create(options = {}) {
+        var group = TokenManager._getId(options.group, "sgid", "cgid")
+        var channel = TokenManager._getId(options.channel, "cid")
+        if (group === undefined) return Promise.reject(new Error("No Group given for the Token"))
+        var type = (channel !== undefined || options.group instanceof TeamSpeakChannelGroup) ? CHANNEL_GROUP_TOKEN : SERVER_GROUP_TOKEN
+        if (type === CHANNEL_GROUP_TOKEN && channel === undefined)
+            return Promise.reject(new Error("No Channel given for the Channel Group Token"))
+        var count = (options.count === undefined) ? 1 : options.count
+        if (!Number.isInteger(count) || count < 1)
+            return Promise.reject(new Error("Invalid Token count \""+options.count+"\" given! Expected a positive integer"))
+        var created = Math.floor(Date.now() / 1000)
+        var info = {
+            description: options.description || "",
+            meta: options.meta,
+            expires: (options.ttl > 0) ? created + options.ttl : null
+        }
+        var description = TokenManager.encodeDescription(info)
+        var customset = TokenManager.encodeCustomSet(options.customset)
+        var tokens = []
+        return Array(count).fill().reduce((chain) => chain.then(() => {
+            return this._parent.privilegekeyAdd(type, group, channel, description, customset)
+                .then(res => {
+                    var token = Object.assign({
+                        token: res.token,
+                        type: type,
+                        id1: group,
+                        id2: (type === CHANNEL_GROUP_TOKEN) ? channel : 0,
+                        created: created,
+                        expired: false
+                    }, info)
+                    this._known[token.token] = token
+                    tokens.push(token)
+                })
+        }), Promise.resolve()).then(() => tokens)
+    }
+
+
+    /**
+     * Retrieves all Tokens with their Group and Channel
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>} The Tokens with token, type, group, channel, description, meta, created, expires and expired
+     */
+    list() {
+        return this._parent.privilegekeyList()
+            .then(this._parent.toArray)
+            .catch(e => {
+                if (e.id === EMPTY_RESULT) return []
+                throw e
+            })
+            .then(list => {
+                var types = list.map(t => t.token_type)
+                return Promise.all([
+                    list,
+                    (types.indexOf(SERVER_GROUP_TOKEN) >= 0) ? this._parent.serverGroupList() : [],
+                    (types.indexOf(CHANNEL_GROUP_TOKEN) >= 0) ? this._parent.channelGroupList() : [],
+                    (types.indexOf(CHANNEL_GROUP_TOKEN) >= 0) ? this._parent.channelList() : []
+                ])
+            })
+            .then(res => {
+                var now = Math.floor(Date.now() / 1000)
+                return res[0].map(entry => {
+                    var isChannelToken = entry.token_type === CHANNEL_GROUP_TOKEN
+                    var info = TokenManager.decodeDescription(entry.token_description)
+                    var token = Object.assign({
+                        token: entry.token,
+                        type: entry.token_type,
+                        id1: entry.token_id1,
+                        id2: entry.token_id2,
+                        created: entry.token_created,
+                        expired: info.expires !== null && info.expires <= now
+                    }, info)
+                    this._known[token.token] = token
+                    return Object.assign({
+                        group: isChannelToken
+                            ? res[2].find(g => g.getCache().cgid === entry.token_id1)
+                            : res[1].find(g => g.getCache().sgid === entry.token_id1),
+                        channel: isChannelToken
+                            ? res[3].find(c => c.getCache().cid === entry.token_id2)
+                            : undefined
+                    }, token)
+                })
+            })
+    }
+
+
+    /**
+     * Deletes all Tokens which have expired
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>} The Tokens which have been deleted
+     */
+    revokeExpired() {
+        return this.list().then(tokens => {
+            var expired = tokens.filter(t => t.expired)
+            return Promise.all(expired.map(t => {
+                return this._parent.privilegekeyDelete(t.token)
+                    .then(() => delete this._known[t.token])
+            })).then(() => expired)
+        })
+    }
+
+
+    /**
+     * Retrieves the Information of a Token which has been created or listed by this Manager
+     * The Server deletes a Token after it has been used, so this is the only way to get the Information of a used Token
+     * @version 1.10
+     * @param {string} token - The Token
+     * @returns {(object|undefined)}
+     */
+    lookup(token) {
+        return this._known[token]
+    }
+
+
+    /**
+     * Removes a Token from the known Tokens
+     * @version 1.10
+     * @param {string} token - The Token
+     */
+    forget(token) {
+        delete this._known[token]
+    }
+
+
+    /**
+     * Creates the Description of a Token
+     * A Token without metadata and expiry date keeps its plain Description
+     * @version 1.10
+     * @static
+     * @param {object} info - Object with description, meta and expires
+     * @returns {string}
+     */
+    static encodeDescription(info) {
+        if (info.meta === undefined && !info.expires) return info.description
+        var data = {d: info.description}
+        if (info.meta !== undefined) data.m = info.meta
+        if (info.expires) data.e = info.expires
+        return META_PREFIX+JSON.stringify(data)
+    }
+
+
+    /**
+     * Parses the Description of a Token
+     * @version 1.10
+     * @static
+     * @param {string} [description] - The Description of the Token
+     * @returns {object} Object with description, meta and expires
+     */
+    static decodeDescription(description = "") {
+        description = String(description)
+        if (description.indexOf(META_PREFIX) === 0) {
+            try {
+                var data = JSON.parse(description.substr(META_PREFIX.length))
+                return {description: data.d || "", meta: data.m, expires: data.e || null}
+            } catch (e) {}
+        }
+        return {description: description, meta: undefined, expires: null}
+    }
+
+
+    /**
+     * Creates the custom client properties of a Token
+     * @version 1.10
+     * @static
+     * @param {(object|string)} [customset] - Map of ident to value or an already formatted String
+     * @returns {(string|undefined)}
+     */
+    static encodeCustomSet(customset) {
+        if (customset === undefined || typeof customset === "string") return customset
+        return Object.keys(customset)
+            .map(ident => "ident="+escape(ident)+" value="+escape(customset[ident]))
+            .join("|")
+    }
+
+
+    /**
+     * Parses the custom client properties of a Token
+     * @version 1.10
+     * @static
+     * @param {string} [customset] - The custom client properties which have been received from the Server
+     * @returns {object} Map of ident to value
+     */
+    static decodeCustomSet(customset) {
+        var res = {}
+        if (!customset) return res
+        var rows = Response.parse(customset)
+        if (!Array.isArray(rows)) rows = [rows]
+        rows.filter(row => row.ident !== undefined).forEach(row => res[row.ident] = row.value)
+        return res
+    }
+
+
+    /**
+     * Retrieves the ID of a Group or Channel
+     * @version 1.10
+     * @private
+     * @static
+     * @param {(TeamSpeakServerGroup|TeamSpeakChannelGroup|TeamSpeakChannel|number)} [target] - The Group, Channel or its ID
+     * @param {...string} keys - The Names of the IDs in the Cache
+     * @returns {(number|undefined)}
+     */
+    static _getId(target, ...keys) {
+        if (target === undefined || target === null) return undefined
+        if (typeof target.getCache !== "function") return target
+        var cache = target.getCache()
+        return cache[keys.find(k => k in cache)]
+    }
+
+}
+
+module.exports = TokenManager
@@ -26,7 +26,6 @@ const EventEmitter = require("events")
         this._cache = {}
         this._cachetime = 50
         this._events = {}
-        this._parent.on("close", () => this.removeAllListeners())
     }
 
 
@@ -37,6 +36,9 @@ const EventEmitter = require("events")
      * @param {function} cb - The Callback
      */
     on(name, cb) {
+        //the cleanup only gets attached once it is needed, so short lived Instances do not pile up close Listeners
+        if (Object.keys(this._events).length === 0)
+            this._parent.once("close", () => this.removeAllListeners())
         if (!(name in this._events)) this._events[name] = []
         this._events[name].push(cb)
         this._parent.on(name, cb)
@@ -53,6 +55,7 @@ const EventEmitter = require("events")
                 this._parent.removeListener(k, cb)
             })
         })
+        this._events = {}
     }
 
 
@@ -63,6 +66,8 @@ const EventEmitter = require("events")
      * @param {string} Command - The Command which should get executed on the TeamSpeak Server
      * @param {object} [Object] - Optional the Parameters
      * @param {object} [Array] - Optional Flagwords
+     * @param {object[]} [Rows] - Optional multiple rows of Parameters which get separated by a pipe
+     * @param {string} [Raw] - Optional String which gets appended to the Command without escaping
      * @returns {Promise.<object>} Promise object which returns the Information about the Query executed
      */
     execute() {
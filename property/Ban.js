@@ -0,0 +1,87 @@
+/**
+ * @file Ban.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Abstract = require(__dirname+"/Abstract")
+
+ /**
+ * Class representing a TeamSpeak Ban
+ * @extends Abstract
+ * @class
+ */
+class TeamSpeakBan extends Abstract {
+    /**
+     * Creates a TeamSpeak Ban
+     * @version 1.10
+     * @param {object} parent - The Parent Object which is a TeamSpeak Instance
+     * @param {object} b - This holds Basic Ban Data received by the Ban List Command
+     * @param {number} b.banid - The Ban ID
+     */
+    constructor(parent, b) {
+        super(parent, b)
+        this._static = {
+            banid: b.banid
+        }
+    }
+
+
+    /**
+     * Returns the Ban ID
+     * @version 1.10
+     * @returns {number}
+     */
+    getID() {
+        return this._static.banid
+    }
+
+
+    /**
+     * Removes the Ban
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    del() {
+        return super.getParent().banDel(this._static.banid)
+    }
+
+
+    /**
+     * Retrieves the Client which created the Ban
+     * @version 1.10
+     * @async
+     * @returns {Promise.<TeamSpeakClient>} Promise object which returns the Client or undefined if the Client is not online
+     */
+    getInvoker() {
+        return super.getParent().getClientByUID(super.getCache().invokeruid)
+    }
+
+
+    /**
+     * Checks if the Ban never expires
+     * @version 1.10
+     * @returns {boolean}
+     */
+    isPermanent() {
+        return !(super.getCache().duration > 0)
+    }
+
+
+    /**
+     * Retrieves the Time until the Ban expires
+     * @version 1.10
+     * @returns {number} The remaining Time in Seconds, Infinity for a permanent Ban
+     */
+    getRemaining() {
+        if (this.isPermanent()) return Infinity
+        var ban = super.getCache()
+        return Math.max(0, ban.created + ban.duration - Math.floor(Date.now() / 1000))
+    }
+
+}
+
+module.exports = TeamSpeakBan
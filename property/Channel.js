@@ -7,6 +7,7 @@
  */
 
 const Abstract = require(__dirname+"/Abstract")
+const sortChannels = require(__dirname+"/../helper/sortchannels")
 
  /**
  * Class representing a TeamSpeak Channel
@@ -53,6 +54,138 @@ class TeamSpeakChannel extends Abstract {
     }
 
 
+    /**
+     * Moves the Channel directly above another Channel, the Channel gets the same Parent as the given Channel
+     * @version 1.10
+     * @async
+     * @param {TeamSpeakChannel} channel - The Channel which should be below afterwards
+     * @return {Promise.<object>}
+     */
+    moveAbove(channel) {
+        return this._getChannels().then(channels => {
+            var target = this._findChannel(channels, channel.getCache().cid)
+            var siblings = this._getSortedChildren(channels, target.getCache().pid)
+                .filter(c => c.getCache().cid !== this._static.cid)
+            var index = siblings.indexOf(target)
+            var order = (index > 0) ? siblings[index - 1].getCache().cid : 0
+            return this.move(target.getCache().pid, order)
+        })
+    }
+
+
+    /**
+     * Moves the Channel directly below another Channel, the Channel gets the same Parent as the given Channel
+     * @version 1.10
+     * @async
+     * @param {TeamSpeakChannel} channel - The Channel which should be above afterwards
+     * @return {Promise.<object>}
+     */
+    moveBelow(channel) {
+        return this._getChannels().then(channels => {
+            var target = this._findChannel(channels, channel.getCache().cid)
+            return this.move(target.getCache().pid, target.getCache().cid)
+        })
+    }
+
+
+    /**
+     * Moves the Channel into another Channel, it will be sorted below the last Sub Channel
+     * @version 1.10
+     * @async
+     * @param {(TeamSpeakChannel|number)} channel - The new Parent Channel, 0 moves the Channel to the top level
+     * @return {Promise.<object>}
+     */
+    moveInto(channel) {
+        var cpid = (typeof channel === "number") ? channel : channel.getCache().cid
+        return this._getChannels().then(channels => {
+            var children = this._getSortedChildren(channels, cpid)
+                .filter(c => c.getCache().cid !== this._static.cid)
+            var order = (children.length > 0) ? children[children.length - 1].getCache().cid : 0
+            return this.move(cpid, order)
+        })
+    }
+
+
+    /**
+     * Retrieves the Parent Channel, resolves with undefined when the Channel is on the top level
+     * @version 1.10
+     * @async
+     * @return {Promise.<TeamSpeakChannel>}
+     */
+    getParent() {
+        return this._getChannels().then(channels => {
+            var pid = this._findChannel(channels, this._static.cid).getCache().pid
+            return channels.find(c => c.getCache().cid === pid)
+        })
+    }
+
+
+    /**
+     * Retrieves the direct Sub Channels in the order they are displayed
+     * @version 1.10
+     * @async
+     * @return {Promise.<TeamSpeakChannel[]>}
+     */
+    getChildren() {
+        return this._getChannels()
+            .then(channels => this._getSortedChildren(channels, this._static.cid))
+    }
+
+
+    /**
+     * Retrieves the Sub Channels in the order they are displayed
+     * @version 1.10
+     * @async
+     * @param {boolean} [deep=false] - Whether all nested Sub Channels should be retrieved as well
+     * @return {Promise.<TeamSpeakChannel[]>}
+     */
+    getSubChannels(deep = false) {
+        return this._getChannels().then(channels => {
+            if (!deep) return this._getSortedChildren(channels, this._static.cid)
+            var collect = cid => {
+                return this._getSortedChildren(channels, cid)
+                    .reduce((list, c) => list.concat([c], collect(c.getCache().cid)), [])
+            }
+            return collect(this._static.cid)
+        })
+    }
+
+
+    /**
+     * Retrieves the other Channels which have the same Parent in the order they are displayed
+     * @version 1.10
+     * @async
+     * @return {Promise.<TeamSpeakChannel[]>}
+     */
+    getSiblings() {
+        return this._getChannels().then(channels => {
+            var pid = this._findChannel(channels, this._static.cid).getCache().pid
+            return this._getSortedChildren(channels, pid)
+                .filter(c => c.getCache().cid !== this._static.cid)
+        })
+    }
+
+
+    /**
+     * Retrieves all Channels from the top level down to this Channel
+     * @version 1.10
+     * @async
+     * @return {Promise.<TeamSpeakChannel[]>}
+     */
+    getPath() {
+        return this._getChannels().then(channels => {
+            var path = []
+            var channel = this._findChannel(channels, this._static.cid)
+            while (channel) {
+                path.unshift(channel)
+                var pid = channel.getCache().pid
+                channel = channels.find(c => c.getCache().cid === pid)
+            }
+            return path
+        })
+    }
+
+
     /**
      * Deletes an existing channel by ID. If force is set to 1, the channel will be deleted even if there are clients within. The clients will be kicked to the default channel with an appropriate reason message.
      * @version 1.0
@@ -93,8 +226,8 @@ class TeamSpeakChannel extends Abstract {
      * Adds a set of specified permissions to a channel. Multiple permissions can be added by providing the two parameters of each permission. A permission can be specified by permid or permsid.
      * @version 1.0
      * @async
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - The Value which should be set
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - The Value which should be set, an Array sets a different Value for every Permission
      * @param {boolean} sid - If the given Perm is a permsid
      * @return {Promise.<object>}
      */
@@ -107,7 +240,7 @@ class TeamSpeakChannel extends Abstract {
      * Removes a set of specified permissions from a channel. Multiple permissions can be removed at once. A permission can be specified by permid or permsid.
      * @version 1.0
      * @async
-     * @param {(string|number)} perm - The permid or permsid
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
      * @param {boolean} sid - If the given Perm is a permsid
      * @return {Promise.<object>}
      */
@@ -152,6 +285,46 @@ class TeamSpeakChannel extends Abstract {
         return super.getParent().getIconName(this.permList(true))
     }
 
+
+    /**
+     * Retrieves all Channels of the virtual server
+     * @version 1.10
+     * @private
+     * @async
+     * @return {Promise.<TeamSpeakChannel[]>}
+     */
+    _getChannels() {
+        return super.getParent().channelList()
+    }
+
+
+    /**
+     * Finds a Channel inside a List of Channels
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel[]} channels - The List of Channels
+     * @param {number} cid - The Channel ID which should be found
+     * @return {TeamSpeakChannel}
+     */
+    _findChannel(channels, cid) {
+        var channel = channels.find(c => c.getCache().cid === cid)
+        if (!channel) throw new Error("Channel with id "+cid+" not found")
+        return channel
+    }
+
+
+    /**
+     * Retrieves the direct Sub Channels of a Channel out of a List of Channels in the order they are displayed
+     * @version 1.10
+     * @private
+     * @param {TeamSpeakChannel[]} channels - The List of Channels
+     * @param {number} cid - The Parent Channel ID, 0 for the top level
+     * @return {TeamSpeakChannel[]}
+     */
+    _getSortedChildren(channels, cid) {
+        return sortChannels(channels.filter(c => c.getCache().pid === cid))
+    }
+
 }
 
 module.exports = TeamSpeakChannel
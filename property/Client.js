@@ -211,6 +211,19 @@ class TeamSpeakClient extends Abstract {
     }
 
 
+    /**
+     * Bans the Client from the Server
+     * @version 1.10
+     * @async
+     * @param {number} [duration] - Bantime in Seconds, if left empty it will result in a permaban
+     * @param {string} [reason] - The Ban Reason
+     * @returns {Promise.<object>} Promise Object
+     */
+    ban(duration, reason) {
+        return super.getParent().banClient(this._static.clid, duration, reason)
+    }
+
+
     /**
      * Moves the Client to a different Channel
      * @version 1.0
@@ -284,15 +297,27 @@ class TeamSpeakClient extends Abstract {
     }
 
 
+    /**
+     * Calculates the effective Permissions of the Client in a Channel and the layer which decided every Permission
+     * @version 1.10
+     * @async
+     * @param {(TeamSpeakChannel|number)} [channel] - The Channel or its ID, defaults to the current Channel of the Client
+     * @returns {Promise.<object>}
+     */
+    getEffectivePermissions(channel) {
+        return super.getParent().getEffectivePermissions(this, channel)
+    }
+
+
     /**
      * Adds a set of specified permissions to a client. Multiple permissions can be added by providing the three parameters of each permission. A permission can be specified by permid or permsid.
      * @version 1.0
      * @async
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - Value of the Permission
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - Value of the Permission, an Array sets a different Value for every Permission
      * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
-     * @param {number} [skip=0] - Whether the skip flag should be set
-     * @param {number} [negate=0] - Whether the negate flag should be set
+     * @param {(number|number[])} [skip=0] - Whether the skip flag should be set
+     * @param {(number|number[])} [negate=0] - Whether the negate flag should be set
      * @return {Promise.<object>}
      */
     addPerm(perm, value, permsid, skip, negate) {
@@ -304,7 +329,7 @@ class TeamSpeakClient extends Abstract {
      * Removes a set of specified permissions from a client. Multiple permissions can be removed at once. A permission can be specified by permid or permsid
      * @version 1.0
      * @async
-     * @param {(string|number)} perm - The permid or permsid
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
      * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
      * @return {Promise.<object>}
      */
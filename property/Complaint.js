@@ -0,0 +1,68 @@
+/**
+ * @file Complaint.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Abstract = require(__dirname+"/Abstract")
+
+ /**
+ * Class representing a Complaint about a Client
+ * @extends Abstract
+ * @class
+ */
+class TeamSpeakComplaint extends Abstract {
+    /**
+     * Creates a TeamSpeak Complaint
+     * @version 1.10
+     * @param {object} parent - The Parent Object which is a TeamSpeak Instance
+     * @param {object} c - This holds Basic Complaint Data received by the Complaint List Command
+     * @param {number} c.tcldbid - The Database ID of the Client the Complaint is about
+     * @param {number} c.fcldbid - The Database ID of the Client which filed the Complaint
+     */
+    constructor(parent, c) {
+        super(parent, c)
+        this._static = {
+            tcldbid: c.tcldbid,
+            fcldbid: c.fcldbid
+        }
+    }
+
+
+    /**
+     * Retrieves the Database Entry of the Client the Complaint is about
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    getTarget() {
+        return super.getParent().clientDBInfo(this._static.tcldbid)
+    }
+
+
+    /**
+     * Retrieves the Database Entry of the Client which filed the Complaint
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    getSource() {
+        return super.getParent().clientDBInfo(this._static.fcldbid)
+    }
+
+
+    /**
+     * Deletes the Complaint
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    del() {
+        return super.getParent().complainDel(this._static.tcldbid, this._static.fcldbid)
+    }
+
+}
+
+module.exports = TeamSpeakComplaint
@@ -0,0 +1,100 @@
+/**
+ * @file DatabaseClient.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Abstract = require(__dirname+"/Abstract")
+
+ /**
+ * Class representing a Client Entry in the Client Database of the virtual server
+ * @extends Abstract
+ * @class
+ */
+class TeamSpeakDatabaseClient extends Abstract {
+    /**
+     * Creates a TeamSpeak Database Client
+     * @version 1.10
+     * @param {object} parent - The Parent Object which is a TeamSpeak Instance
+     * @param {object} c - This holds Basic Client Data received by the Client Database List Command
+     * @param {number} c.cldbid - The Client Database ID
+     * @param {string} c.client_unique_identifier - The Unique ID of the Client
+     */
+    constructor(parent, c) {
+        super(parent, c)
+        this._static = {
+            cldbid: c.cldbid,
+            uid: c.client_unique_identifier
+        }
+    }
+
+
+    /**
+     * Returns the Database ID of the Client
+     * @version 1.10
+     * @returns {number}
+     */
+    getDBID() {
+        return this._static.cldbid
+    }
+
+
+    /**
+     * Returns the Unique ID of the Client
+     * @version 1.10
+     * @returns {string}
+     */
+    getUID() {
+        return this._static.uid
+    }
+
+
+    /**
+     * Retrieves the full Database Info of the Client
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    getInfo() {
+        return super.getParent().clientDBInfo(this._static.cldbid)
+    }
+
+
+    /**
+     * Retrieves the Server Groups of the Client
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object[]>}
+     */
+    getServerGroups() {
+        return super.getParent().serverGroupsByClientId(this._static.cldbid)
+    }
+
+
+    /**
+     * Changes the Database Properties of the Client
+     * @version 1.10
+     * @async
+     * @param {object} properties - The Properties which should get changed
+     * @returns {Promise.<object>}
+     */
+    edit(properties) {
+        return super.getParent().clientDBEdit(this._static.cldbid, properties)
+    }
+
+
+    /**
+     * Deletes the Client from the Database
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    del() {
+        return super.getParent().clientDBDelete(this._static.cldbid)
+    }
+
+}
+
+module.exports = TeamSpeakDatabaseClient
@@ -0,0 +1,81 @@
+/**
+ * @file File.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Abstract = require(__dirname+"/Abstract")
+
+ /**
+ * Class representing a File or Directory in the File Repository of a Channel
+ * @extends Abstract
+ * @class
+ */
+class TeamSpeakFile extends Abstract {
+    /**
+     * Creates a TeamSpeak File
+     * @version 1.10
+     * @param {object} parent - The Parent Object which is a TeamSpeak Instance
+     * @param {object} f - This holds Basic File Data received by the File List Command
+     * @param {number} f.cid - The Channel ID
+     * @param {string} f.path - The Directory the File is in
+     * @param {string} f.name - The Name of the File
+     * @param {string} [cpw] - The Channel Password
+     */
+    constructor(parent, f, cpw = "") {
+        super(parent, f)
+        this._static = {
+            cid: f.cid,
+            path: f.path,
+            name: f.name,
+            cpw: cpw
+        }
+    }
+
+
+    /**
+     * Returns the full Path of the File
+     * @version 1.10
+     * @returns {string}
+     */
+    getPath() {
+        return this._static.path.replace(/\/?$/, "/")+this._static.name
+    }
+
+
+    /**
+     * Checks if the Entry is a Directory
+     * @version 1.10
+     * @returns {boolean}
+     */
+    isDirectory() {
+        return Number(super.getCache().type) === 0
+    }
+
+
+    /**
+     * Retrieves detailed Information about the File
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    getInfo() {
+        return super.getParent().ftGetFileInfo(this._static.cid, this.getPath(), this._static.cpw)
+    }
+
+
+    /**
+     * Deletes the File or Directory
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    del() {
+        return super.getParent().ftDeleteFile(this._static.cid, this.getPath(), this._static.cpw)
+    }
+
+}
+
+module.exports = TeamSpeakFile
@@ -0,0 +1,140 @@
+/**
+ * @file Message.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+const Abstract = require(__dirname+"/Abstract")
+
+ /**
+ * Class representing an Offline Message in the Inbox of the Query Account
+ * @extends Abstract
+ * @class
+ */
+class TeamSpeakMessage extends Abstract {
+    /**
+     * Creates a TeamSpeak Message
+     * @version 1.10
+     * @param {object} parent - The Parent Object which is a TeamSpeak Instance
+     * @param {object} m - This holds Basic Message Data received by the Message List Command
+     * @param {number} m.msgid - The Message ID
+     * @param {string} m.cluid - The Unique ID of the Sender
+     */
+    constructor(parent, m) {
+        super(parent, m)
+        this._static = {
+            msgid: m.msgid,
+            cluid: m.cluid
+        }
+    }
+
+
+    /**
+     * Returns the Message ID
+     * @version 1.10
+     * @returns {number}
+     */
+    getID() {
+        return this._static.msgid
+    }
+
+
+    /**
+     * Checks if the Message has been read
+     * @version 1.10
+     * @returns {boolean}
+     */
+    isRead() {
+        return Boolean(super.getCache().flag_read)
+    }
+
+
+    /**
+     * Retrieves the Text of the Message
+     * @version 1.10
+     * @async
+     * @returns {Promise.<string>}
+     */
+    getContent() {
+        return super.getParent().messageGet(this._static.msgid)
+            .then(res => {
+                super.updateCache(Object.assign({}, super.getCache(), res))
+                return res.message
+            })
+    }
+
+
+    /**
+     * Retrieves the Sender of the Message
+     * @version 1.10
+     * @async
+     * @returns {Promise.<(TeamSpeakClient|object)>} Promise object which returns the Client when it is online, otherwise its Database Entry
+     */
+    getSender() {
+        var parent = super.getParent()
+        return parent.getClientByUID(this._static.cluid)
+            .then(client => {
+                if (client) return client
+                return parent.clientDBFind(this._static.cluid, true)
+                    .then(parent.toArray)
+                    .then(res => parent.clientDBInfo(res[0].cldbid))
+            })
+    }
+
+
+    /**
+     * Marks the Message as read
+     * @version 1.10
+     * @async
+     * @param {boolean} [read=true] - Whether the Message should be marked as read or unread
+     * @returns {Promise.<object>}
+     */
+    markRead(read = true) {
+        return super.getParent().messageUpdate(this._static.msgid, read ? 1 : 0)
+            .then(res => {
+                super.getCache().flag_read = read ? 1 : 0
+                return res
+            })
+    }
+
+
+    /**
+     * Sends an Offline Message back to the Sender
+     * @version 1.10
+     * @async
+     * @param {string} text - The Message Text
+     * @param {string} [subject] - The Subject, defaults to the Subject of this Message with a "Re: " prefix
+     * @returns {Promise.<object>}
+     */
+    reply(text, subject) {
+        if (subject === undefined) subject = "Re: "+super.getCache().subject
+        return super.getParent().messageAdd(this._static.cluid, subject, text)
+    }
+
+
+    /**
+     * Deletes the Message from the Inbox
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    del() {
+        return super.getParent().messageDel(this._static.msgid)
+    }
+
+
+    /**
+     * Deletes the Message from the Inbox, alias of del()
+     * @version 1.10
+     * @async
+     * @returns {Promise.<object>}
+     */
+    delete() {
+        return this.del()
+    }
+
+}
+
+module.exports = TeamSpeakMessage
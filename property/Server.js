@@ -39,6 +39,16 @@ class TeamSpeakServer extends Abstract {
     }
 
 
+    /**
+     * Returns a handle which executes every command on this Virtual Server without changing the selected Server
+     * @version 1.10
+     * @returns {TeamSpeak3}
+     */
+    getHandle() {
+        return super.getParent().server(this._static.sid)
+    }
+
+
     /**
      * Gets basic Infos about the Server
      * @version 1.0
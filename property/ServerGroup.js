@@ -93,11 +93,11 @@ class TeamSpeakServerGroup extends Abstract {
      * Adds a specified permissions to the server group. A permission can be specified by permid or permsid.
      * @version 1.0 
      * @async
-     * @param {(string|number)} perm - The permid or permsid
-     * @param {number} value - Value of the Permission
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
+     * @param {(number|number[])} value - Value of the Permission, an Array sets a different Value for every Permission
      * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
-     * @param {number} [skip=0] - Whether the skip flag should be set
-     * @param {number} [negate=0] - Whether the negate flag should be set
+     * @param {(number|number[])} [skip=0] - Whether the skip flag should be set
+     * @param {(number|number[])} [negate=0] - Whether the negate flag should be set
      * @returns {Promise.<object>}
      */ 
     addPerm(perm, value, permsid, skip, negate) {
@@ -109,7 +109,7 @@ class TeamSpeakServerGroup extends Abstract {
      * Removes a set of specified permissions from the server group. A permission can be specified by permid or permsid.
      * @version 1.0 
      * @async
-     * @param {(string|number)} perm - The permid or permsid
+     * @param {(string|number|Array)} perm - The permid or permsid, multiple Permissions can be given as an Array
      * @param {boolean} [permsid=false] - Whether a permsid or permid should be used
      * @returns {Promise.<object>}
      */ 
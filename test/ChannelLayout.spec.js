@@ -0,0 +1,101 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+const CHANNEL_PERMS = [
+    "cid=1 permsid=i_channel_needed_join_power permvalue=50 permnegated=0 permskip=0",
+    "permsid=b_channel_join_ignore_password permvalue=1 permnegated=0 permskip=0"
+].join("|")
+
+describe("ChannelLayout", () => {
+
+    var ts3
+    var socket
+    var channels
+
+    beforeEach(() => {
+        channels = [
+            "cid=1 pid=0 channel_order=0 channel_name=Lobby",
+            "cid=2 pid=0 channel_order=1 channel_name=Games",
+            "cid=3 pid=0 channel_order=2 channel_name=Old"
+        ]
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "channellist": return channels.join("|")
+                case "channelpermlist": return CHANNEL_PERMS
+                case "channelcreate":
+                    var cid = channels.length + 1
+                    var name = line.match(/channel_name=(\S+)/)[1]
+                    var pid = line.match(/cpid=(\d+)/)[1]
+                    channels.push("cid="+cid+" pid="+pid+" channel_order=0 channel_name="+name)
+                    return "cid="+cid
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    //the write commands which have been sent
+    var writes = function() {
+        return socket.sent.filter(l => /^channel(create|edit|move|addperm|delperm|delete) /.test(l))
+    }
+
+    var LAYOUT = [
+        {name: "Games"},
+        {name: "Lobby", permissions: {i_channel_needed_join_power: "50", b_channel_join_ignore_password: true}},
+        {name: "New", children: [{name: "Sub"}]}
+    ]
+
+    it("should plan the creation, the move and the deletion of channels", () => {
+        return ts3.applyChannelLayout(LAYOUT, {dryRun: true, deleteUnknown: true})
+            .then(steps => {
+                assert.deepStrictEqual(steps, [
+                    {action: "move", path: ["Games"], cid: 2, parent: [], after: null},
+                    {action: "create", path: ["New"], parent: [], after: ["Lobby"], properties: {channel_flag_permanent: 1, channel_name: "New"}},
+                    {action: "create", path: ["New", "Sub"], parent: ["New"], after: null, properties: {channel_flag_permanent: 1, channel_name: "Sub"}},
+                    {action: "delete", path: ["Old"], cid: 3}
+                ])
+                assert.deepStrictEqual(writes(), [])
+            })
+    })
+
+    it("should apply the steps with the ids of the created channels", () => {
+        return ts3.applyChannelLayout(LAYOUT, {deleteUnknown: true})
+            .then(() => {
+                assert.deepStrictEqual(writes(), [
+                    "channelmove cid=2 cpid=0 order=0",
+                    "channelcreate channel_flag_permanent=1 cpid=0 channel_order=1 channel_name=New",
+                    "channelcreate channel_flag_permanent=1 cpid=4 channel_order=0 channel_name=Sub",
+                    "channeldelete cid=3 force=1"
+                ])
+            })
+    })
+
+    it("should plan the permissions which differ and the removed ones", () => {
+        return ts3.applyChannelLayout([{name: "Lobby", permissions: {
+            i_channel_needed_join_power: 75,
+            b_channel_join_ignore_password: null
+        }}], {dryRun: true})
+            .then(steps => {
+                assert.deepStrictEqual(steps, [
+                    {action: "perm", path: ["Lobby"], cid: 1, permsid: "i_channel_needed_join_power", value: 75},
+                    {action: "delperm", path: ["Lobby"], cid: 1, permsid: "b_channel_join_ignore_password"}
+                ])
+            })
+    })
+
+    it("should not plan anything for a layout which is already applied", () => {
+        return ts3.applyChannelLayout([
+            {name: "Lobby", permissions: {i_channel_needed_join_power: "50", b_channel_join_ignore_password: true}},
+            {name: "Games"},
+            {name: "Old"}
+        ], {deleteUnknown: true})
+            .then(steps => {
+                assert.deepStrictEqual(steps, [])
+                assert.deepStrictEqual(writes(), [])
+            })
+    })
+
+})
@@ -0,0 +1,36 @@
+const assert = require("assert")
+const Command = require(__dirname+"/../transport/Command")
+
+describe("Command", () => {
+
+    it("should build the options, the rows and the flags in order", () => {
+        var cmd = new Command()
+            .setCommand("servergroupaddperm")
+            .setOptions({sgid: 6})
+            .setMultiOptions([
+                {permsid: "i_client_talk_power", permvalue: 75},
+                {permsid: "b_client_ignore_bans", permvalue: 1}
+            ])
+            .setFlags(["-continueonerror"])
+        assert.strictEqual(cmd.build(),
+            "servergroupaddperm sgid=6 permsid=i_client_talk_power permvalue=75|permsid=b_client_ignore_bans permvalue=1 -continueonerror")
+    })
+
+    it("should escape the keys and values of every row", () => {
+        var cmd = new Command()
+            .setCommand("clientkick")
+            .setOptions({reasonmsg: "bye bye"})
+            .setMultiOptions([{clid: 1}, {clid: "a|b"}])
+        assert.strictEqual(cmd.build(), "clientkick reasonmsg=bye\\sbye clid=1|clid=a\\pb")
+    })
+
+    it("should join array options per key", () => {
+        var cmd = new Command().setCommand("clientmove").setOptions({clid: [1, 2], cid: 3})
+        assert.strictEqual(cmd.build(), "clientmove clid=1|clid=2 cid=3")
+    })
+
+    it("should not append anything without rows", () => {
+        assert.strictEqual(new Command().setCommand("version").setMultiOptions([]).build(), "version")
+    })
+
+})
@@ -0,0 +1,96 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const ComplaintManager = require(__dirname+"/../manager/ComplaintManager")
+
+describe("ComplaintManager", () => {
+
+    var complaint = function(tcldbid, fcldbid, message) {
+        return {tcldbid: tcldbid, tname: "t"+tcldbid, fcldbid: fcldbid, fname: "f"+fcldbid, message: message, timestamp: 1500000000}
+    }
+
+    it("should group the complaints per target", () => {
+        assert.deepStrictEqual(ComplaintManager._group([complaint(8, 1, "a"), complaint(9, 1, "b"), complaint(8, 2, "c")]), [
+            {tcldbid: 8, tname: "t8", count: 2, complaints: [
+                {fcldbid: 1, fname: "f1", message: "a", timestamp: 1500000000},
+                {fcldbid: 2, fname: "f2", message: "c", timestamp: 1500000000}
+            ]},
+            {tcldbid: 9, tname: "t9", count: 1, complaints: [
+                {fcldbid: 1, fname: "f1", message: "b", timestamp: 1500000000}
+            ]}
+        ])
+    })
+
+    it("should retrieve the thresholds which have been passed", () => {
+        var manager = new ComplaintManager(null, [5, 2, 3], 1000)
+        assert.deepStrictEqual(manager._getThresholds(0, 1), [])
+        assert.deepStrictEqual(manager._getThresholds(1, 3), [2, 3])
+        assert.deepStrictEqual(manager._getThresholds(3, 3), [])
+        assert.deepStrictEqual(manager._getThresholds(3, 10), [5])
+    })
+
+    describe("polling", () => {
+
+        var ts3
+        var complaints
+        var events
+
+        var line = c => "tcldbid="+c.tcldbid+" tname="+c.tname+" fcldbid="+c.fcldbid+" fname="+c.fname+" message="+c.message+" timestamp="+c.timestamp
+
+        beforeEach(() => {
+            complaints = [complaint(8, 1, "a")]
+            events = []
+            return FakeSocket.connect({complainthreshold: [2, 3], complainpollinterval: 60000}, cmd => {
+                if (cmd.indexOf("complainlist") === 0)
+                    return (complaints.length > 0) ? complaints.map(line).join("|") : "error id=1281 msg=database\\sempty\\sresult\\sset"
+                if (cmd === "clientdbinfo cldbid=8") return "client_unique_identifier=abc= client_nickname=troll client_database_id=8"
+                if (cmd.indexOf("clientdbinfo") === 0) return "error id=512 msg=invalid\\sclientID"
+            }).then(res => {
+                ts3 = res
+                ts3.on("complaintthreshold", ev => events.push(ev))
+                return FakeSocket.wait()
+            })
+        })
+
+        afterEach(() => {
+            ts3.removeAllListeners("complaintthreshold")
+            FakeSocket.reset()
+        })
+
+        it("should emit every threshold which has been reached since the last poll", () => {
+            assert.deepStrictEqual(events, [])
+            complaints.push(complaint(8, 2, "b"), complaint(8, 3, "c"), complaint(9, 1, "d"))
+            return ts3._complaints.poll()
+                .then(() => {
+                    assert.deepStrictEqual(events.map(ev => [ev.tcldbid, ev.threshold, ev.count]), [[8, 2, 3], [8, 3, 3]])
+                    assert.strictEqual(events[0].target.client_nickname, "troll")
+                    assert.strictEqual(events[0].complaints[1].source, undefined)
+                    return ts3._complaints.poll()
+                })
+                .then(res => {
+                    assert.deepStrictEqual(res, [])
+                    assert.strictEqual(events.length, 2)
+                })
+        })
+
+        it("should emit a threshold again after the complaints have been removed", () => {
+            complaints = []
+            return ts3._complaints.poll()
+                .then(() => {
+                    complaints = [complaint(8, 1, "a"), complaint(8, 2, "b")]
+                    return ts3._complaints.poll()
+                })
+                .then(() => assert.deepStrictEqual(events.map(ev => ev.threshold), [2]))
+        })
+
+        it("should list the complaints of a client with the resolved database entries", () => {
+            complaints.push(complaint(8, 2, "b"))
+            return ts3.complainListByTarget(8)
+                .then(groups => {
+                    assert.strictEqual(FakeSocket.sockets[0].sent.indexOf("complainlist tcldbid=8") >= 0, true)
+                    assert.deepStrictEqual(groups.map(g => [g.tcldbid, g.count, g.target.client_nickname]), [[8, 2, "troll"]])
+                })
+        })
+
+    })
+
+})
@@ -0,0 +1,78 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+const DAY = 86400
+
+describe("DatabasePruner", () => {
+
+    var ts3
+    var socket
+    var entries
+
+    beforeEach(() => {
+        var now = Math.floor(Date.now() / 1000)
+        var old = now - 40 * DAY
+        entries = [
+            "cldbid=1 client_unique_identifier=a client_nickname=active client_lastconnected="+now,
+            "cldbid=2 client_unique_identifier=b client_nickname=online client_lastconnected="+old,
+            "cldbid=3 client_unique_identifier=c client_nickname=stale client_lastconnected="+old,
+            "cldbid=4 client_unique_identifier=d client_nickname=bot client_login_name=bot client_lastconnected="+old,
+            "cldbid=5 client_unique_identifier=e client_nickname=admin client_lastconnected="+old
+        ]
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "clientlist": return "clid=1 cid=1 client_database_id=2 client_nickname=online client_type=0"
+                case "clientdblist":
+                    var start = Number(line.match(/start=(\d+)/)[1])
+                    var duration = Number(line.match(/duration=(\d+)/)[1])
+                    var page = entries.slice(start, start + duration)
+                    return (page.length > 0) ? page.join("|") : "error id=1281 msg=database\\sempty\\sresult\\sset"
+                case "servergroupsbyclientid":
+                    return (line === "servergroupsbyclientid cldbid=5") ? "name=Admin sgid=6 cldbid=5" : "name=Guest sgid=8 cldbid=0"
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    var dbids = list => list.map(item => (item.entry || item).getDBID())
+
+    it("should report the inactive clients on a dry run without deleting them", () => {
+        return ts3.pruneClientDatabase({inactiveDays: 30, excludeGroups: [6], dryRun: true, pageSize: 2})
+            .then(report => {
+                assert.strictEqual(report.dryRun, true)
+                assert.strictEqual(report.checked, 5)
+                assert.deepStrictEqual(dbids(report.deleted), [3])
+                assert.deepStrictEqual(report.skipped.map(s => [s.entry.getDBID(), s.reason]), [[2, "online"], [4, "query"], [5, "group"]])
+                assert.deepStrictEqual(report.failed, [])
+                assert.deepStrictEqual(socket.sent.filter(l => l.indexOf("clientdblist") === 0), [
+                    "clientdblist start=0 duration=2",
+                    "clientdblist start=2 duration=2",
+                    "clientdblist start=4 duration=2"
+                ])
+                assert.deepStrictEqual(socket.sent.filter(l => l.indexOf("clientdbdelete") === 0), [])
+            })
+    })
+
+    it("should delete the inactive clients after the database has been paged through", () => {
+        return ts3.pruneClientDatabase({inactiveDays: 30, pageSize: 2, includeQueryClients: true})
+            .then(report => {
+                assert.deepStrictEqual(dbids(report.deleted), [3, 4, 5])
+                var lines = socket.sent.filter(l => /^clientdb(list|delete)/.test(l))
+                assert.deepStrictEqual(lines.slice(3), [
+                    "clientdbdelete cldbid=3",
+                    "clientdbdelete cldbid=4",
+                    "clientdbdelete cldbid=5"
+                ])
+            })
+    })
+
+    it("should reject an invalid amount of days", () => {
+        return ts3.pruneClientDatabase({inactiveDays: 0})
+            .then(() => assert.fail("should have been rejected"), e => assert.ok(/Invalid inactiveDays/.test(e.message)))
+    })
+
+})
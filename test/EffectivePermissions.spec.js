@@ -0,0 +1,116 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const EffectivePermissions = require(__dirname+"/../manager/EffectivePermissions")
+
+const EMPTY = "error id=1281 msg=database\\sempty\\sresult\\sset"
+
+describe("EffectivePermissions", () => {
+
+    var perm = function(permsid, permvalue, flags = {}) {
+        return {permsid: permsid, permvalue: permvalue, permskip: flags.skip ? 1 : 0, permnegated: flags.negate ? 1 : 0}
+    }
+
+    //value, layer and id of every permission
+    var decided = function(result) {
+        var res = {}
+        Object.keys(result).forEach(k => res[k] = [result[k].value, result[k].layer, result[k].id])
+        return res
+    }
+
+    describe("layers", () => {
+
+        var calc
+        var result
+
+        beforeEach(() => {
+            calc = new EffectivePermissions(null, 8, 2)
+            result = {}
+        })
+
+        it("should use the highest value of all server groups", () => {
+            calc._applyServerGroups(result, [
+                {sgid: 6, perms: [perm("i_client_talk_power", 50), perm("b_client_ignore_bans", 1)]},
+                {sgid: 7, perms: [perm("i_client_talk_power", 75)]}
+            ])
+            assert.deepStrictEqual(decided(result), {
+                i_client_talk_power: [75, "servergroup", 7],
+                b_client_ignore_bans: [1, "servergroup", 6]
+            })
+        })
+
+        it("should use the lowest negated value of all server groups", () => {
+            calc._applyServerGroups(result, [
+                {sgid: 6, perms: [perm("i_client_talk_power", 50, {negate: true})]},
+                {sgid: 7, perms: [perm("i_client_talk_power", 75)]},
+                {sgid: 9, perms: [perm("i_client_talk_power", 60, {negate: true})]}
+            ])
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [50, "servergroup", 6]})
+            assert.strictEqual(result.i_client_talk_power.negated, true)
+        })
+
+        it("should let the channel layers overwrite the server groups", () => {
+            calc._applyServerGroups(result, [{sgid: 6, perms: [perm("i_client_talk_power", 50)]}])
+            calc._apply(result, [perm("i_client_talk_power", 20)], "channel", 2, true)
+            calc._apply(result, [perm("i_client_talk_power", 30)], "channelgroup", 5, true)
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [30, "channelgroup", 5]})
+            calc._apply(result, [perm("i_client_talk_power", 40)], "channelclient", 2, false)
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [40, "channelclient", 2]})
+        })
+
+        it("should keep a skipped permission against the channel and channel group permissions", () => {
+            calc._applyServerGroups(result, [{sgid: 6, perms: [perm("i_client_talk_power", 50, {skip: true})]}])
+            calc._apply(result, [perm("i_client_talk_power", 20)], "channel", 2, true)
+            calc._apply(result, [perm("i_client_talk_power", 30)], "channelgroup", 5, true)
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [50, "servergroup", 6]})
+            calc._apply(result, [perm("i_client_talk_power", 60)], "client", 8, false)
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [60, "client", 8]})
+            assert.strictEqual(result.i_client_talk_power.skip, true)
+        })
+
+        it("should take over the skip flag of a client permission", () => {
+            calc._apply(result, [perm("i_client_talk_power", 60, {skip: true})], "client", 8, false)
+            calc._apply(result, [perm("i_client_talk_power", 20)], "channel", 2, true)
+            assert.deepStrictEqual(decided(result), {i_client_talk_power: [60, "client", 8]})
+        })
+
+    })
+
+    describe("calculate", () => {
+
+        afterEach(() => FakeSocket.reset())
+
+        it("should collect every layer and fall back to the default channel group", () => {
+            var ts3
+            return FakeSocket.connect({}, line => {
+                switch (line) {
+                    case "servergroupsbyclientid cldbid=8": return "name=Guest sgid=6 cldbid=8"
+                    case "servergrouppermlist sgid=6 -permsid":
+                        return "sgid=6 permsid=i_client_talk_power permvalue=10 permnegated=0 permskip=0"
+                            +"|permsid=b_client_ignore_bans permvalue=1 permnegated=0 permskip=1"
+                    case "channelpermlist cid=2 -permsid": return "cid=2 permsid=i_client_needed_talk_power permvalue=25"
+                    case "serverinfo": return "virtualserver_default_channel_group=8"
+                    case "channelgrouppermlist cgid=8 -permsid": return "cgid=8 permsid=i_client_talk_power permvalue=30"
+                    case "clientpermlist cldbid=8 -permsid":
+                    case "channelgroupclientlist cid=2 cldbid=8":
+                    case "channelclientpermlist cid=2 cldbid=8 -permsid":
+                        return EMPTY
+                }
+            })
+                .then(res => {
+                    ts3 = res
+                    return ts3.getEffectivePermissions(8, 2)
+                })
+                .then(result => {
+                    assert.deepStrictEqual(decided(result), {
+                        i_client_talk_power: [30, "channelgroup", 8],
+                        b_client_ignore_bans: [1, "servergroup", 6],
+                        i_client_needed_talk_power: [25, "channel", 2]
+                    })
+                    return ts3.getEffectivePermissions(8)
+                })
+                .then(() => assert.fail("should have been rejected"), e => assert.ok(/No Channel given/.test(e.message)))
+        })
+
+    })
+
+})
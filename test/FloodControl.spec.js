@@ -0,0 +1,60 @@
+const assert = require("assert")
+const sinon = require("sinon")
+const FloodControl = require(__dirname+"/../transport/FloodControl")
+
+describe("FloodControl", () => {
+
+    var clock
+
+    beforeEach(() => clock = sinon.useFakeTimers())
+    afterEach(() => clock.restore())
+
+    it("should use the default limits", () => {
+        var flood = new FloodControl()
+        assert.strictEqual(flood.getCapacity(), 149)
+        assert.strictEqual(flood.getCost("clientlist"), 1)
+    })
+
+    it("should use the given limits and costs", () => {
+        var flood = new FloodControl({commandBlock: 20, cost: 2, costs: {clientlist: 5}})
+        assert.strictEqual(flood.getCapacity(), 19)
+        assert.strictEqual(flood.getCost("clientlist"), 5)
+        assert.strictEqual(flood.getCost("whoami"), 2)
+    })
+
+    it("should ignore invalid limits", () => {
+        var flood = new FloodControl({commandBlock: 20})
+        flood.setLimits({commandBlock: 0, tickReduce: -1})
+        assert.strictEqual(flood.getCapacity(), 19)
+    })
+
+    it("should not delay commands below the capacity", () => {
+        var flood = new FloodControl({commandBlock: 10})
+        for (var i = 0; i < 8; i++) flood.consume("whoami")
+        assert.strictEqual(flood.getDelay("whoami"), 0)
+    })
+
+    it("should delay a command which exceeds the capacity until enough points have been reduced", () => {
+        var flood = new FloodControl({commandBlock: 10, tickReduce: 2})
+        for (var i = 0; i < 9; i++) flood.consume("whoami")
+        assert.strictEqual(flood.getDelay("whoami"), 500)
+        clock.tick(500)
+        assert.strictEqual(flood.getDelay("whoami"), 0)
+    })
+
+    it("should sum the costs of multiple commands", () => {
+        var flood = new FloodControl({commandBlock: 10, tickReduce: 1, costs: {clientlist: 4}})
+        for (var i = 0; i < 5; i++) flood.consume("whoami")
+        assert.strictEqual(flood.getDelay(["whoami", "whoami"]), 0)
+        assert.strictEqual(flood.getDelay(["clientlist", "clientlist"]), 4000)
+    })
+
+    it("should back off for the time the server asked for", () => {
+        var flood = new FloodControl({commandBlock: 10, tickReduce: 10})
+        flood.penalize(3)
+        assert.strictEqual(flood.getDelay("whoami"), 3000)
+        clock.tick(3000)
+        assert.strictEqual(flood.getDelay("whoami"), 0)
+    })
+
+})
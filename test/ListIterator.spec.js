@@ -0,0 +1,72 @@
+const assert = require("assert")
+const ListIterator = require(__dirname+"/../manager/ListIterator")
+
+describe("ListIterator", () => {
+
+    var pages = (list, calls) => state => {
+        var start = state || 0
+        calls.push(start)
+        return Promise.resolve({
+            entries: list.slice(start, start + 2),
+            next: (start + 2 >= list.length) ? null : start + 2
+        })
+    }
+
+    it("should retrieve all pages", () => {
+        var calls = []
+        return new ListIterator(pages([1, 2, 3, 4, 5], calls)).toArray().then(entries => {
+            assert.deepStrictEqual(entries, [1, 2, 3, 4, 5])
+            assert.deepStrictEqual(calls, [0, 2, 4])
+        })
+    })
+
+    it("should only request the next page once the previous one has been consumed", () => {
+        var calls = []
+        var iterator = new ListIterator(pages([1, 2, 3, 4, 5], calls))
+        return iterator.next()
+            .then(res => {
+                assert.deepStrictEqual(res, {value: 1, done: false})
+                return iterator.next()
+            })
+            .then(res => {
+                assert.strictEqual(res.value, 2)
+                assert.deepStrictEqual(calls, [0])
+                return iterator.next()
+            })
+            .then(res => {
+                assert.strictEqual(res.value, 3)
+                assert.deepStrictEqual(calls, [0, 2])
+            })
+    })
+
+    it("should stop requesting pages when it has been returned", () => {
+        var calls = []
+        var iterator = new ListIterator(pages([1, 2, 3, 4, 5], calls))
+        return iterator.next()
+            .then(() => iterator.return())
+            .then(res => {
+                assert.deepStrictEqual(res, {value: undefined, done: true})
+                return iterator.next()
+            })
+            .then(res => {
+                assert.strictEqual(res.done, true)
+                assert.deepStrictEqual(calls, [0])
+            })
+    })
+
+    it("should end after a failed page", () => {
+        var iterator = new ListIterator(() => Promise.reject(new Error("failed")))
+        return iterator.next()
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.message, "failed")
+                return iterator.next()
+            })
+            .then(res => assert.strictEqual(res.done, true))
+    })
+
+    it("should be usable as async iterable", () => {
+        var iterator = new ListIterator(pages([1, 2, 3], []))
+        assert.strictEqual(iterator[Symbol.asyncIterator](), iterator)
+    })
+
+})
@@ -0,0 +1,125 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+const CHANNELS = [
+    "cid=1 pid=0 channel_order=0 channel_name=Lobby total_clients=1",
+    "cid=2 pid=0 channel_order=1 channel_name=Games total_clients=0",
+    "cid=3 pid=2 channel_order=0 channel_name=Sub total_clients=0"
+].join("|")
+
+const CLIENTS = "clid=5 cid=1 client_database_id=8 client_nickname=alice client_type=0"
+
+describe("LiveState", () => {
+
+    var ts3
+    var socket
+    var state
+
+    beforeEach(() => {
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "serverinfo": return "virtualserver_name=Test virtualserver_maxclients=32"
+                case "channellist": return CHANNELS
+                case "clientlist": return CLIENTS
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+            return ts3.liveState()
+        }).then(res => state = res)
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    //feeds the notifications and waits until the event handlers have been run
+    var notify = function() {
+        socket.reply.apply(socket, arguments)
+        return FakeSocket.wait()
+    }
+
+    //the channel tree as nested names
+    var names = function(tree) {
+        return tree.map(node => {
+            var name = node.channel.getCache().channel_name
+            return (node.children.length > 0) ? [name, names(node.children)] : name
+        })
+    }
+
+    var lists = function() {
+        return socket.sent.filter(l => ["channellist", "clientlist"].indexOf(l.split(" ")[0]) >= 0).length
+    }
+
+    it("should seed the state once from the list commands", () => {
+        assert.deepStrictEqual(names(state.getTree()), ["Lobby", ["Games", ["Sub"]]])
+        assert.strictEqual(state.getServer().virtualserver_name, "Test")
+        assert.deepStrictEqual(state.getChannelClients(1).map(c => c.getCache().clid), [5])
+        assert.ok(socket.sent.indexOf("servernotifyregister event=server") >= 0)
+        assert.ok(socket.sent.indexOf("servernotifyregister event=channel id=0") >= 0)
+        assert.strictEqual(lists(), 2)
+    })
+
+    it("should insert a created channel below its predecessor", () => {
+        var created = null
+        ts3.on("channelcreate", ev => created = ev)
+        return notify("notifychannelcreated cid=4 cpid=0 channel_order=1 channel_name=Music invokerid=5 invokername=alice")
+            .then(() => {
+                assert.deepStrictEqual(names(state.getTree()), ["Lobby", "Music", ["Games", ["Sub"]]])
+                assert.strictEqual(state.getChannel(2).getCache().channel_order, 4)
+                assert.strictEqual(created.channel, state.getChannel(4))
+                assert.strictEqual(created.invoker, state.getClient(5))
+                assert.strictEqual(lists(), 2)
+            })
+    })
+
+    it("should move a channel and close the gap it left behind", () => {
+        return notify("notifychannelmoved cid=1 cpid=2 order=3 invokerid=5 invokername=alice")
+            .then(() => {
+                assert.deepStrictEqual(names(state.getTree()), [["Games", ["Sub", "Lobby"]]])
+                assert.strictEqual(state.getChannel(2).getCache().channel_order, 0)
+                return notify("notifychanneledited cid=3 reasonid=10 channel_order=1 channel_name=Renamed invokerid=5 invokername=alice")
+            })
+            .then(() => {
+                assert.deepStrictEqual(names(state.getTree()), [["Games", ["Lobby", "Renamed"]]])
+                assert.strictEqual(lists(), 2)
+            })
+    })
+
+    it("should remove a deleted channel together with its sub channels", () => {
+        return notify("notifychanneldeleted cid=2 invokerid=5 invokername=alice")
+            .then(() => {
+                assert.deepStrictEqual(names(state.getTree()), ["Lobby"])
+                assert.strictEqual(state.getChannel(3), undefined)
+                return notify("notifychannelcreated cid=6 cpid=0 channel_order=0 channel_name=Top invokerid=5 invokername=alice")
+            })
+            .then(() => assert.deepStrictEqual(names(state.getTree()), ["Top", "Lobby"]))
+    })
+
+    it("should keep the clients and the client counts up to date", () => {
+        var moved = null
+        ts3.on("clientmoved", ev => moved = ev)
+        return notify("notifycliententerview cfid=0 ctid=2 reasonid=0 clid=7 client_nickname=bob client_type=0")
+            .then(() => {
+                assert.strictEqual(state.getClient(7).getCache().cid, 2)
+                assert.strictEqual(state.getChannel(2).getCache().total_clients, 1)
+                return notify("notifyclientmoved ctid=3 reasonid=0 clid=7")
+            })
+            .then(() => {
+                assert.strictEqual(moved.client, state.getClient(7))
+                assert.strictEqual(moved.channel, state.getChannel(3))
+                assert.deepStrictEqual(state.getTree()[1].children[0].clients.map(c => c.getCache().clid), [7])
+                assert.strictEqual(state.getChannel(2).getCache().total_clients, 0)
+                return notify("notifyclientleftview cfid=3 ctid=0 reasonid=8 clid=7")
+            })
+            .then(() => {
+                assert.strictEqual(state.getClient(7), undefined)
+                assert.strictEqual(state.getChannel(3).getCache().total_clients, 0)
+                assert.strictEqual(lists(), 2)
+            })
+    })
+
+    it("should apply the modified server properties", () => {
+        return notify("notifyserveredited reasonid=10 virtualserver_name=Renamed invokerid=5 invokername=alice")
+            .then(() => assert.strictEqual(state.getServer().virtualserver_name, "Renamed"))
+    })
+
+})
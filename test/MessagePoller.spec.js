@@ -0,0 +1,108 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+describe("MessagePoller", () => {
+
+    var ts3
+    var socket
+    var inbox
+    var received
+
+    var message = function(msgid) {
+        return "msgid="+msgid+" cluid=abc= subject=hello\\s"+msgid+" timestamp=1500000000 flag_read=0"
+    }
+
+    beforeEach(() => {
+        inbox = [message(1)]
+        received = []
+        return FakeSocket.connect({messagepollinterval: 60000}, line => {
+            if (line !== "messagelist") return
+            if (inbox === null) return "error id=2568 msg=insufficient\\sclient\\spermissions"
+            return (inbox.length > 0) ? inbox.join("|") : "error id=1281 msg=database\\sempty\\sresult\\sset"
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    })
+
+    afterEach(() => {
+        ts3.removeAllListeners("offlinemessage")
+        FakeSocket.reset()
+    })
+
+    var listener = ev => received.push(ev.message.getID())
+
+    var polls = () => socket.sent.filter(l => l === "messagelist").length
+
+    it("should only emit the messages which arrived after the first poll", () => {
+        ts3.on("offlinemessage", listener)
+        return FakeSocket.wait()
+            .then(() => {
+                assert.strictEqual(polls(), 1)
+                assert.deepStrictEqual(received, [])
+                inbox.push(message(2), message(3))
+                return ts3._messagePoller.poll()
+            })
+            .then(() => ts3._messagePoller.poll())
+            .then(() => {
+                assert.deepStrictEqual(received, [2, 3])
+                assert.strictEqual(polls(), 3)
+            })
+    })
+
+    it("should treat an empty inbox as known state", () => {
+        inbox = []
+        ts3.on("offlinemessage", listener)
+        return FakeSocket.wait()
+            .then(() => {
+                inbox.push(message(4))
+                return ts3._messagePoller.poll()
+            })
+            .then(() => assert.deepStrictEqual(received, [4]))
+    })
+
+    it("should stop polling once the last listener has been removed", () => {
+        ts3.on("offlinemessage", listener)
+        return FakeSocket.wait()
+            .then(() => {
+                assert.notStrictEqual(ts3._messagePoller._timer, null)
+                ts3.removeListener("offlinemessage", listener)
+                assert.strictEqual(ts3._messagePoller._timer, null)
+            })
+    })
+
+    it("should forget the known messages after another server has been selected", () => {
+        ts3.on("offlinemessage", listener)
+        return FakeSocket.wait()
+            .then(() => ts3.useBySid(2))
+            .then(() => {
+                inbox = [message(7)]
+                return ts3._messagePoller.poll()
+            })
+            .then(() => {
+                assert.deepStrictEqual(received, [])
+                inbox.push(message(8))
+                return ts3._messagePoller.poll()
+            })
+            .then(() => assert.deepStrictEqual(received, [8]))
+    })
+
+    it("should emit a failed poll as error and continue with the next one", () => {
+        var errors = []
+        ts3.on("error", e => errors.push(e))
+        ts3.on("offlinemessage", listener)
+        return FakeSocket.wait()
+            .then(() => {
+                inbox = null
+                return ts3._messagePoller.poll()
+            })
+            .then(res => {
+                assert.deepStrictEqual(res, [])
+                assert.strictEqual(errors.length, 1)
+                inbox = [message(1), message(5)]
+                return ts3._messagePoller.poll()
+            })
+            .then(() => assert.deepStrictEqual(received, [5]))
+    })
+
+})
@@ -0,0 +1,140 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const PermissionCatalog = require(__dirname+"/../manager/PermissionCatalog")
+
+const PERMISSIONS = [
+    "permid=1 permname=b_serverinstance_help_view permdesc=help",
+    "permid=2 permname=i_client_talk_power permdesc=talk",
+    "permid=3 permname=i_needed_modify_power_client_talk_power permdesc=grant"
+].join("|")
+
+describe("PermissionCatalog", () => {
+
+    var errors
+
+    //answers the permission list with the given errors first
+    var connect = function(failures = []) {
+        errors = []
+        return FakeSocket.connect({}, line => {
+            if (line === "permissionlist") return failures.length > 0 ? failures.shift() : PERMISSIONS
+        }).then(ts3 => {
+            ts3.on("error", e => errors.push(e))
+            return ts3
+        })
+    }
+
+    var sent = function(cmd) {
+        return FakeSocket.sockets[0].sent.filter(l => l.split(" ")[0] === cmd)
+    }
+
+    afterEach(() => FakeSocket.reset())
+
+    it("should detect names and types of permissions", () => {
+        assert.strictEqual(PermissionCatalog.isName("i_client_talk_power"), true)
+        assert.strictEqual(PermissionCatalog.isName("12"), false)
+        assert.strictEqual(PermissionCatalog.isName(12), false)
+        assert.strictEqual(PermissionCatalog.getType("b_client_ignore_bans"), "bool")
+        assert.strictEqual(PermissionCatalog.getType("i_client_talk_power"), "int")
+        assert.strictEqual(PermissionCatalog.getType("i_needed_modify_power_client_talk_power"), "grant")
+    })
+
+    it("should resolve names and ids once per connection", () => {
+        var ts3
+        return connect()
+            .then(res => {
+                ts3 = res
+                return ts3.permissionCatalog()
+            })
+            .then(catalog => {
+                assert.strictEqual(catalog.getId("i_client_talk_power"), 2)
+                assert.strictEqual(catalog.getName(2), "i_client_talk_power")
+                assert.strictEqual(catalog.getName("3"), "i_needed_modify_power_client_talk_power")
+                assert.strictEqual(catalog.get("b_unknown"), undefined)
+                assert.strictEqual(catalog.getAll().length, 3)
+                return ts3.permissionCatalog()
+            })
+            .then(() => assert.strictEqual(sent("permissionlist").length, 1))
+    })
+
+    it("should validate permission values", () => {
+        return connect()
+            .then(ts3 => ts3.permissionCatalog())
+            .then(catalog => {
+                assert.strictEqual(catalog.validate("b_serverinstance_help_view", true), 1)
+                assert.strictEqual(catalog.validate(2, "75"), 75)
+                assert.strictEqual(catalog.validate("i_client_talk_power"), undefined)
+                assert.throws(() => catalog.validate("b_serverinstance_help_view", 2), /Expected 0 or 1/)
+                assert.throws(() => catalog.validate("i_client_talk_power", 1.5), /Expected an integer/)
+                assert.throws(() => catalog.validate("i_client_talk_power", true), /Expected an integer/)
+                assert.throws(() => catalog.validate("b_unknown", 1), /Unknown Permission/)
+            })
+    })
+
+    it("should reject a permission command with an invalid permission before sending it", () => {
+        return connect()
+            .then(ts3 => ts3.serverGroupAddPerm(6, "b_unknown", 1))
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.ok(/Unknown Permission/.test(e.message))
+                assert.deepStrictEqual(sent("servergroupaddperm"), [])
+            })
+    })
+
+    it("should send a permission id as its name when a permsid has been requested", () => {
+        return connect()
+            .then(ts3 => ts3.serverGroupAddPerm(6, [2, "b_serverinstance_help_view"], [75, true], true))
+            .then(() => {
+                assert.deepStrictEqual(sent("servergroupaddperm"), [
+                    "servergroupaddperm sgid=6 permsid=i_client_talk_power permvalue=75 permskip=0 permnegated=0"
+                    +"|permsid=b_serverinstance_help_view permvalue=1 permskip=0 permnegated=0"
+                ])
+            })
+    })
+
+    it("should send the permissions without validation and load the catalog again after a transient error", () => {
+        var ts3
+        return connect(["error id=524 msg=client\\sis\\sflooding"])
+            .then(res => {
+                ts3 = res
+                return ts3.serverGroupAddPerm(6, "i_client_talk_power", "x")
+            })
+            .then(() => {
+                assert.deepStrictEqual(sent("servergroupaddperm"), [
+                    "servergroupaddperm sgid=6 permsid=i_client_talk_power permvalue=x permskip=0 permnegated=0"
+                ])
+                assert.strictEqual(errors.length, 1)
+                return ts3.serverGroupAddPerm(6, "i_client_talk_power", "x")
+            })
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.ok(/Expected an integer/.test(e.message))
+                assert.strictEqual(sent("permissionlist").length, 2)
+            })
+    })
+
+    it("should reject a permission id which has to be sent as name while the catalog can not be loaded", () => {
+        return connect(["error id=1 msg=timeout"])
+            .then(ts3 => ts3.serverGroupDelPerm(6, 2, true))
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.id, 1)
+                assert.deepStrictEqual(sent("servergroupdelperm"), [])
+            })
+    })
+
+    it("should not load the catalog again when the query is not allowed to", () => {
+        var ts3
+        return connect(["error id=2568 msg=insufficient\\sclient\\spermissions failed_permid=4"])
+            .then(res => {
+                ts3 = res
+                return ts3.serverGroupDelPerm(6, "i_client_talk_power")
+            })
+            .then(() => ts3.serverGroupDelPerm(6, "i_client_talk_power"))
+            .then(() => ts3.permissionCatalog())
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.id, 2568)
+                assert.strictEqual(sent("permissionlist").length, 1)
+                assert.strictEqual(sent("servergroupdelperm").length, 2)
+                assert.strictEqual(errors.length, 1)
+                assert.ok(/until the next reconnect/.test(errors[0].message))
+            })
+    })
+
+})
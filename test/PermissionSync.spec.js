@@ -0,0 +1,108 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const PermissionSync = require(__dirname+"/../manager/PermissionSync")
+
+const PERMISSIONS = [
+    "permid=1 permname=b_client_ignore_bans permdesc=bans",
+    "permid=2 permname=i_client_talk_power permdesc=talk",
+    "permid=3 permname=i_needed_modify_power_client_talk_power permdesc=grant",
+    "permid=4 permname=i_icon_id permdesc=icon"
+].join("|")
+
+const GROUP_PERMS = [
+    "sgid=6 permsid=i_client_talk_power permvalue=50 permnegated=0 permskip=0",
+    "permsid=b_client_ignore_bans permvalue=1 permnegated=0 permskip=0",
+    "permsid=i_icon_id permvalue=100 permnegated=0 permskip=0"
+].join("|")
+
+describe("PermissionSync", () => {
+
+    var ts3
+    var socket
+
+    var connect = function(catalog = PERMISSIONS) {
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "permissionlist": return catalog
+                case "servergrouppermlist": return GROUP_PERMS
+                case "channelpermlist": return "error id=1281 msg=database\\sempty\\sresult\\sset"
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    }
+
+    var writes = function() {
+        return socket.sent.filter(l => /^\w+(add|del)perm /.test(l))
+    }
+
+    afterEach(() => FakeSocket.reset())
+
+    it("should resolve the permission targets", () => {
+        assert.deepStrictEqual(PermissionSync.resolveTarget({sgid: 6, name: "Admin"}), {sgid: 6})
+        assert.deepStrictEqual(PermissionSync.resolveTarget({cldbid: 8}), {cldbid: 8})
+        assert.throws(() => PermissionSync.resolveTarget({clid: 5}), /Invalid Permission Target/)
+        assert.throws(() => PermissionSync.resolveTarget(null), /Invalid Permission Target/)
+    })
+
+    it("should compute the permissions which differ and the ones which have to be removed", () => {
+        return connect()
+            .then(() => new PermissionSync(ts3, {sgid: 6}).diff({
+                i_client_talk_power: {value: 50, skip: true},
+                b_client_ignore_bans: true,
+                3: 75
+            }))
+            .then(diff => {
+                assert.deepStrictEqual(diff, {
+                    add: [
+                        {permsid: "i_needed_modify_power_client_talk_power", permvalue: 75, permskip: 0, permnegated: 0},
+                        {permsid: "i_client_talk_power", permvalue: 50, permskip: 1, permnegated: 0}
+                    ],
+                    del: ["i_icon_id"]
+                })
+                assert.deepStrictEqual(writes(), [])
+            })
+    })
+
+    it("should send the changes as one command per action", () => {
+        return connect()
+            .then(() => ts3.syncPermissions({sgid: 6}, {i_client_talk_power: 75, b_client_ignore_bans: {value: 1, negate: true}}))
+            .then(() => {
+                assert.deepStrictEqual(writes(), [
+                    "servergroupdelperm sgid=6 permsid=i_icon_id",
+                    "servergroupaddperm sgid=6 permsid=i_client_talk_power permvalue=75 permskip=0 permnegated=0"
+                    +"|permsid=b_client_ignore_bans permvalue=1 permskip=0 permnegated=1"
+                ])
+            })
+    })
+
+    it("should only send the flags a target supports", () => {
+        return connect()
+            .then(() => ts3.syncPermissions({cid: 1}, {i_icon_id: {value: 5, skip: true, negate: true}}))
+            .then(diff => {
+                assert.deepStrictEqual(diff.del, [])
+                assert.deepStrictEqual(writes(), ["channeladdperm cid=1 permsid=i_icon_id permvalue=5"])
+            })
+    })
+
+    it("should not send anything when a value is invalid", () => {
+        return connect()
+            .then(() => ts3.syncPermissions({sgid: 6}, {i_client_talk_power: "loud"}))
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.ok(/Expected an integer/.test(e.message))
+                assert.deepStrictEqual(writes(), [])
+            })
+    })
+
+    it("should only accept permission names while the catalog can not be loaded", () => {
+        return connect("error id=2568 msg=insufficient\\sclient\\spermissions")
+            .then(() => new PermissionSync(ts3, {sgid: 6}).diff({i_client_talk_power: 50, b_client_ignore_bans: 1, i_icon_id: 100}))
+            .then(diff => {
+                assert.deepStrictEqual(diff, {add: [], del: []})
+                return new PermissionSync(ts3, {sgid: 6}).diff({2: 50})
+            })
+            .then(() => assert.fail("should have been rejected"), e => assert.strictEqual(e.id, 2568))
+    })
+
+})
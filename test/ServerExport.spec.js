@@ -0,0 +1,141 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const ServerExport = require(__dirname+"/../manager/ServerExport")
+
+const EMPTY = "error id=1281 msg=database\\sempty\\sresult\\sset"
+
+const PERMISSIONS = [
+    "permid=1 permname=i_client_talk_power permdesc=talk",
+    "permid=2 permname=i_channel_needed_join_power permdesc=join"
+].join("|")
+
+/**
+ * Answers the commands of a virtual server with the given state
+ * state holds server (line of the serverinfo), channels, servergroups and channelgroups (lists of lines) and perms (key => list line)
+ */
+var createServer = function(state) {
+    var nextId = 20
+    var row = line => line.split(" ").reduce((res, kv) => {
+        res[kv.split("=")[0]] = kv.split("=")[1]
+        return res
+    }, {})
+    var perms = key => state.perms[key] || EMPTY
+    return line => {
+        var cmd = line.split(" ")[0]
+        var args = row(line.substr(cmd.length + 1))
+        switch (cmd) {
+            case "permissionlist": return PERMISSIONS
+            case "serverinfo": return state.server
+            case "channellist": return state.channels.join("|")
+            case "channelinfo": return "channel_topic="+(args.cid === "10" ? "hi" : "")
+            case "channelpermlist": return perms("cid="+args.cid)
+            case "servergrouplist": return state.servergroups.join("|")
+            case "servergrouppermlist": return perms("sgid="+args.sgid)
+            case "channelgrouplist": return state.channelgroups.join("|")
+            case "channelgrouppermlist": return perms("cgid="+args.cgid)
+            case "servergroupadd":
+                state.servergroups.push("sgid="+nextId+" name="+args.name+" type="+args.type)
+                return "sgid="+(nextId++)
+            case "channelgroupadd":
+                state.channelgroups.push("cgid="+nextId+" name="+args.name+" type="+args.type)
+                return "cgid="+(nextId++)
+            case "channelcreate":
+                state.channels.push("cid="+nextId+" pid="+args.cpid+" channel_order="+args.channel_order+" channel_name="+args.channel_name)
+                return "cid="+(nextId++)
+        }
+    }
+}
+
+describe("ServerExport", () => {
+
+    var source = function() {
+        return {
+            server: "virtualserver_name=Community virtualserver_port=9987 virtualserver_clientsonline=3"
+                +" virtualserver_default_server_group=7 virtualserver_default_channel_group=9",
+            channels: [
+                "cid=10 pid=0 channel_order=0 channel_name=Lobby total_clients=2",
+                "cid=11 pid=10 channel_order=0 channel_name=Sub total_clients=0"
+            ],
+            servergroups: ["sgid=2 name=Query type=2", "sgid=7 name=Member type=1"],
+            channelgroups: ["cgid=9 name=Operator type=1"],
+            perms: {
+                "cid=10": "cid=10 permsid=i_channel_needed_join_power permvalue=50 permnegated=0 permskip=0",
+                "sgid=7": "sgid=7 permsid=i_client_talk_power permvalue=75 permnegated=0 permskip=1"
+            }
+        }
+    }
+
+    var target
+    var socket
+
+    var connect = function(state) {
+        return FakeSocket.connect({}, createServer(state)).then(ts3 => {
+            socket = FakeSocket.sockets[FakeSocket.sockets.length - 1]
+            return ts3
+        })
+    }
+
+    beforeEach(() => {
+        target = {
+            server: "virtualserver_name=Fresh",
+            channels: ["cid=1 pid=0 channel_order=0 channel_name=Default"],
+            servergroups: ["sgid=8 name=Guest type=1"],
+            channelgroups: ["cgid=9 name=Operator type=1"],
+            perms: {}
+        }
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    it("should export the settings, the channels and the groups with their permissions", () => {
+        return connect(source())
+            .then(ts3 => ts3.serverExport())
+            .then(data => {
+                assert.strictEqual(data.version, 1)
+                assert.strictEqual(data.server.virtualserver_name, "Community")
+                assert.strictEqual("virtualserver_clientsonline" in data.server, false)
+                assert.deepStrictEqual(data.channels.map(c => [c.cid, c.channel_name, c.channel_topic, c.permissions]), [
+                    [10, "Lobby", "hi", {i_channel_needed_join_power: 50}],
+                    [11, "Sub", "", {}]
+                ])
+                assert.strictEqual("total_clients" in data.channels[0], false)
+                assert.deepStrictEqual(data.servergroups.map(g => [g.sgid, g.permissions]), [
+                    [2, {}],
+                    [7, {i_client_talk_power: {value: 75, skip: true, negate: false}}]
+                ])
+                assert.deepStrictEqual(data.channelgroups.map(g => [g.cgid, g.permissions]), [[9, {}]])
+            })
+    })
+
+    it("should recreate an export on another server and map the ids", () => {
+        return connect(source())
+            .then(ts3 => ts3.serverExport())
+            .then(data => {
+                FakeSocket.sockets[0].close()
+                return connect(target).then(ts3 => ts3.serverImport(JSON.parse(JSON.stringify(data))))
+            })
+            .then(result => {
+                assert.deepStrictEqual(result.servergroups, {7: 20})
+                assert.deepStrictEqual(result.channelgroups, {9: 9})
+                assert.deepStrictEqual(result.channels, {10: 21, 11: 22})
+                var sent = socket.sent.filter(l => /^(servergroupadd|servergroupaddperm|serveredit|channelcreate|channeladdperm) /.test(l))
+                assert.deepStrictEqual(sent, [
+                    "servergroupadd name=Member type=1",
+                    "servergroupaddperm sgid=20 permsid=i_client_talk_power permvalue=75 permskip=1 permnegated=0",
+                    "serveredit virtualserver_name=Community virtualserver_default_server_group=20 virtualserver_default_channel_group=9",
+                    "channelcreate channel_flag_permanent=1 channel_topic=hi cpid=0 channel_order=0 channel_name=Lobby",
+                    "channeladdperm cid=21 permsid=i_channel_needed_join_power permvalue=50",
+                    "channelcreate channel_flag_permanent=1 channel_topic= cpid=21 channel_order=0 channel_name=Sub"
+                ])
+            })
+    })
+
+    it("should reject an export of a newer version", () => {
+        assert.strictEqual(ServerExport.isSupported({version: 1}), true)
+        assert.strictEqual(ServerExport.isSupported(null), false)
+        return connect(target)
+            .then(ts3 => ts3.serverImport({version: 2}))
+            .then(() => assert.fail("should have been rejected"), e => assert.ok(/Unsupported Configuration/.test(e.message)))
+    })
+
+})
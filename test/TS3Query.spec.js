@@ -0,0 +1,263 @@
+const assert = require("assert")
+const sinon = require("sinon")
+const EventEmitter = require("events")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TS3Query = require(__dirname+"/../transport/TS3Query")
+
+const OK = FakeSocket.OK
+const FLOOD = "error id=524 msg=client\\sis\\sflooding extra_msg=please\\swait\\s1\\sseconds"
+
+describe("TS3Query", () => {
+
+    var clock
+    var query
+    var socket
+
+    //answers the active command with the given lines and flushes the resolved promises and the next send
+    var reply = function() {
+        Array.prototype.slice.call(arguments).forEach(line => socket.emit("line", line))
+        return Promise.resolve().then(() => clock.tick(0))
+    }
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers()
+        query = new TS3Query("127.0.0.1", 10011)
+        socket = FakeSocket.sockets[FakeSocket.sockets.length - 1]
+        socket.open()
+    })
+
+    afterEach(() => {
+        clock.restore()
+        FakeSocket.sockets = []
+    })
+
+    describe("queue", () => {
+
+        it("should send the next command after the response of the previous one", () => {
+            var first = query.execute("whoami")
+            var second = query.execute("version")
+            clock.tick(0)
+            assert.deepStrictEqual(socket.sent, ["whoami"])
+            return reply("clid=1", OK)
+                .then(() => {
+                    assert.deepStrictEqual(socket.sent, ["whoami", "version"])
+                    return reply("version=3.2.0 platform=Linux", OK)
+                })
+                .then(() => Promise.all([first, second]))
+                .then(res => {
+                    assert.strictEqual(res[0].clid, 1)
+                    assert.deepStrictEqual(res[1], {version: "3.2.0", platform: "Linux"})
+                })
+        })
+
+        it("should reject a command with the error of the server", () => {
+            var promise = query.execute("clientkick", {clid: 5})
+            clock.tick(0)
+            return reply("error id=512 msg=invalid\\sclientID")
+                .then(() => promise)
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.id, 512)
+                    assert.strictEqual(e.message, "invalid clientID")
+                })
+        })
+
+        it("should send commands of higher lanes first", () => {
+            query.execute("whoami")
+            clock.tick(0)
+            query.executeWith({priority: "background"}, "clientdblist")
+            query.execute("version")
+            query.executeWith({priority: "high"}, "clientpoke", {clid: 1})
+            return reply(OK)
+                .then(() => reply(OK))
+                .then(() => reply(OK))
+                .then(() => {
+                    assert.deepStrictEqual(socket.sent, ["whoami", "clientpoke clid=1", "version", "clientdblist"])
+                })
+        })
+
+        it("should serve a lane which has been skipped too often", () => {
+            query.starvationLimit(2)
+            query.execute("whoami")
+            clock.tick(0)
+            query.executeWith({priority: "background"}, "clientdblist")
+            for (var i = 0; i < 4; i++) query.execute("version")
+            var step = Promise.resolve()
+            for (var j = 0; j < 5; j++) step = step.then(() => reply(OK))
+            return step.then(() => {
+                assert.deepStrictEqual(socket.sent, ["whoami", "version", "version", "clientdblist", "version", "version"])
+            })
+        })
+
+        it("should send prioritized commands before all other queued commands", () => {
+            query.execute("whoami")
+            clock.tick(0)
+            query.executeWith({priority: "high"}, "clientpoke", {clid: 1})
+            query.executePrior("login", {client_login_name: "a", client_login_password: "b"})
+            return reply(OK)
+                .then(() => reply(OK))
+                .then(() => {
+                    assert.deepStrictEqual(socket.sent.slice(1), [
+                        "login client_login_name=a client_login_password=b",
+                        "clientpoke clid=1"
+                    ])
+                })
+        })
+
+    })
+
+    describe("timeout, abort and close", () => {
+
+        it("should reject a command which did not receive a response in time and continue after its late response", () => {
+            query.commandTimeout(100)
+            var first = query.execute("whoami")
+            query.execute("version")
+            clock.tick(0)
+            clock.tick(100)
+            return first
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.name, "TimeoutError")
+                    assert.deepStrictEqual(socket.sent, ["whoami"])
+                    return reply(OK)
+                })
+                .then(() => assert.deepStrictEqual(socket.sent, ["whoami", "version"]))
+        })
+
+        it("should close the connection when the late response does not arrive", () => {
+            var closed = false
+            query.on("close", () => closed = true)
+            query.executeWith({timeout: 100}, "whoami").catch(() => null)
+            clock.tick(0)
+            clock.tick(200)
+            assert.strictEqual(closed, true)
+        })
+
+        it("should remove an aborted command from the queue", () => {
+            var signal = new EventEmitter()
+            query.execute("whoami")
+            var aborted = query.executeWith({signal: signal}, "version")
+            clock.tick(0)
+            signal.aborted = true
+            signal.emit("abort")
+            return aborted
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.name, "AbortError")
+                    return reply(OK)
+                })
+                .then(() => {
+                    assert.deepStrictEqual(socket.sent, ["whoami"])
+                    assert.strictEqual(query.getQueueSize(), 0)
+                })
+        })
+
+        it("should reject a sent command on close and keep the queued commands for a reconnect", () => {
+            var sent = query.execute("whoami")
+            query.execute("version")
+            clock.tick(0)
+            socket.close()
+            return sent
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.message, "Connection closed while waiting for a response")
+                    assert.strictEqual(query.getQueueSize(), 1)
+                })
+        })
+
+        it("should reject queued and following commands after a shutdown", () => {
+            query.execute("whoami").catch(() => null)
+            clock.tick(0)
+            socket.close()
+            var queued = query.execute("version")
+            query.shutdown()
+            return queued
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.message, "Query connection has been closed")
+                    return query.execute("version")
+                })
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.message, "Query connection has been closed")
+                    assert.strictEqual(query.getQueueSize(), 0)
+                })
+        })
+
+    })
+
+    describe("pipeline", () => {
+
+        it("should send the commands of a batch together and map the responses in order", () => {
+            var promises = query.executeBatch({}, [["whoami"], ["clientinfo", {clid: 5}], ["version"]])
+            clock.tick(0)
+            assert.deepStrictEqual(socket.sent, ["whoami", "clientinfo clid=5", "version"])
+            return reply("clid=1", OK, "error id=512 msg=invalid\\sclientID", "version=3", OK)
+                .then(() => Promise.all(promises.map(p => p.catch(e => e.id))))
+                .then(res => {
+                    assert.strictEqual(res[0].clid, 1)
+                    assert.strictEqual(res[1], 512)
+                    assert.strictEqual(res[2].version, "3")
+                })
+        })
+
+        it("should send commands which change the session one after another", () => {
+            query.executeBatch({}, [["whoami"], ["version"], ["use", {sid: 2}], ["hostinfo"]])
+            clock.tick(0)
+            assert.deepStrictEqual(socket.sent, ["whoami", "version"])
+            return reply(OK, OK)
+                .then(() => {
+                    assert.deepStrictEqual(socket.sent, ["whoami", "version", "use sid=2"])
+                    return reply(OK)
+                })
+                .then(() => assert.deepStrictEqual(socket.sent, ["whoami", "version", "use sid=2", "hostinfo"]))
+        })
+
+        it("should limit a pipeline to the flood capacity", () => {
+            query.floodControl({commandBlock: 3})
+            query.executeBatch({}, [["whoami"], ["version"], ["hostinfo"], ["instanceinfo"]])
+            clock.tick(0)
+            assert.deepStrictEqual(socket.sent, ["whoami", "version"])
+            return reply(OK, OK)
+                .then(() => {
+                    assert.strictEqual(socket.sent.length, 2)
+                    clock.tick(400)
+                    assert.deepStrictEqual(socket.sent, ["whoami", "version", "hostinfo", "instanceinfo"])
+                })
+        })
+
+        it("should retry commands of a batch which failed due to a flood ban in their order", () => {
+            var floods = 0
+            query.on("flood", () => floods++)
+            query.floodControl()
+            var promises = query.executeBatch({}, [["whoami"], ["version"], ["hostinfo"]])
+            query.execute("instanceinfo")
+            clock.tick(0)
+            return reply(OK, FLOOD, FLOOD)
+                .then(() => {
+                    assert.strictEqual(floods, 2)
+                    assert.strictEqual(socket.sent.length, 3)
+                    clock.tick(1000)
+                    assert.deepStrictEqual(socket.sent.slice(3), ["version", "hostinfo"])
+                    return reply("version=3", OK, "virtualservers_running_total=1", OK)
+                })
+                .then(() => Promise.all(promises))
+                .then(res => {
+                    assert.strictEqual(res[1].version, "3")
+                    assert.strictEqual(res[2].virtualservers_running_total, "1")
+                    clock.tick(1000)
+                    assert.deepStrictEqual(socket.sent.slice(5), ["instanceinfo"])
+                })
+        })
+
+        it("should reject a command which has been flood banned too often", () => {
+            query.floodControl()
+            var promise = query.execute("whoami")
+            clock.tick(0)
+            var step = Promise.resolve()
+            for (var i = 0; i < 4; i++) step = step.then(() => reply(FLOOD)).then(() => clock.tick(1000))
+            return step
+                .then(() => promise)
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.strictEqual(e.id, 524)
+                    assert.strictEqual(socket.sent.length, 4)
+                })
+        })
+
+    })
+
+})
@@ -0,0 +1,97 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TeamSpeakBan = require(__dirname+"/../property/Ban")
+
+describe("TeamSpeak3 bans", () => {
+
+    var ts3
+    var socket
+    var now = Math.floor(Date.now() / 1000)
+    var bans = [
+        "banid=1 ip=1.2.3.4 name uid created="+(now - 100)+" duration=0 invokeruid=admin= reason=spam enforcements=0",
+        "banid=2 ip name=troll uid created="+(now - 100)+" duration=3700 invokeruid=admin= reason=flame enforcements=2",
+        "banid=3 ip name uid=abc= created="+(now - 100)+" duration=50 invokeruid=admin= reason=old enforcements=0"
+    ]
+
+    beforeEach(() => {
+        var next = 10
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "banlist": return bans.join("|")
+                case "clientlist": return "clid=5 cid=1 client_database_id=8 client_nickname=alice client_type=0 client_unique_identifier=admin="
+                case "banadd": return (line.indexOf("name=bad") >= 0) ? "error id=1540 msg=convert\\serror" : "banid="+(next++)
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    var sent = cmd => socket.sent.filter(l => l.split(" ")[0] === cmd)
+
+    it("should list the bans as ban objects and filter them", () => {
+        return ts3.banList()
+            .then(list => {
+                assert.ok(list.every(ban => ban instanceof TeamSpeakBan))
+                assert.deepStrictEqual(list.map(ban => ban.getID()), [1, 2, 3])
+                return ts3.banList({name: "troll"})
+            })
+            .then(list => assert.deepStrictEqual(list.map(ban => ban.getID()), [2]))
+    })
+
+    it("should calculate the remaining time and treat a ban without duration as permanent", () => {
+        return ts3.banList()
+            .then(list => {
+                assert.strictEqual(list[0].isPermanent(), true)
+                assert.strictEqual(list[0].getRemaining(), Infinity)
+                assert.strictEqual(list[1].isPermanent(), false)
+                assert.ok(Math.abs(list[1].getRemaining() - 3600) <= 1)
+                assert.strictEqual(list[2].getRemaining(), 0)
+            })
+    })
+
+    it("should remove a ban and resolve its invoker", () => {
+        return ts3.banList()
+            .then(list => Promise.all([list[1].del(), list[1].getInvoker()]))
+            .then(res => {
+                assert.deepStrictEqual(sent("bandel"), ["bandel banid=2"])
+                assert.strictEqual(res[1].getCache().client_nickname, "alice")
+            })
+    })
+
+    it("should ban a client with banclient", () => {
+        return ts3.getClientByID(5)
+            .then(client => client.ban(60, "bye"))
+            .then(() => assert.deepStrictEqual(sent("banclient"), ["banclient clid=5 time=60 banreason=bye"]))
+    })
+
+    it("should export the active bans with their remaining time", () => {
+        return ts3.banExport()
+            .then(exported => {
+                assert.strictEqual(exported.length, 2)
+                assert.deepStrictEqual(exported[0], {ip: "1.2.3.4", reason: "spam", time: 0})
+                assert.strictEqual(exported[1].name, "troll")
+                assert.ok(Math.abs(exported[1].time - 3600) <= 1)
+            })
+    })
+
+    it("should import bans and report the ones which failed", () => {
+        return ts3.banImport([
+            {ip: "1.2.3.4", reason: "spam", time: 0},
+            {name: "bad", reason: "x", time: 10},
+            {uid: "abc=", time: 60}
+        ])
+            .then(result => {
+                assert.deepStrictEqual(result.added.map(a => a.banid), [10, 11])
+                assert.deepStrictEqual(result.failed.map(f => [f.ban.name, f.error.id]), [["bad", 1540]])
+                assert.deepStrictEqual(sent("banadd"), [
+                    "banadd ip=1.2.3.4 banreason=spam",
+                    "banadd name=bad time=10 banreason=x",
+                    "banadd uid=abc= time=60 banreason="
+                ])
+            })
+    })
+
+})
@@ -0,0 +1,93 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+describe("TeamSpeak3 events", () => {
+
+    var ts3
+    var socket
+
+    beforeEach(() => {
+        return FakeSocket.connect({}, line => {
+            switch (line.split(" ")[0]) {
+                case "clientlist": return "clid=5 cid=1 client_database_id=8 client_nickname=alice client_type=0"
+                case "channellist": return "cid=1 pid=0 channel_order=0 channel_name=Lobby|cid=2 pid=0 channel_order=1 channel_name=Games"
+                case "servergrouplist": return "sgid=6 name=Member type=1"
+                case "channelgrouplist": return "cgid=5 name=Operator type=1"
+            }
+        }).then(res => {
+            ts3 = res
+            socket = FakeSocket.sockets[0]
+        })
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    //feeds a notification and resolves with the first emitted event of the given name
+    var receive = function(name, line) {
+        return new Promise((fulfill, reject) => {
+            ts3.once(name, fulfill)
+            ts3.once("error", reject)
+            socket.reply(line)
+        })
+    }
+
+    it("should resolve the invoker of a poke", () => {
+        return receive("clientpoke", "notifyclientpoke invokerid=5 invokername=alice invokeruid=abc= msg=hello\\sbot")
+            .then(ev => {
+                assert.strictEqual(ev.invoker.getCache().client_nickname, "alice")
+                assert.strictEqual(ev.msg, "hello bot")
+            })
+    })
+
+    it("should resolve the client and the server group of a used token", () => {
+        var line = "notifytokenused clid=5 cldbid=8 cluid=abc= token=tok"
+            +" tokencustomset=ident=forum_id\\svalue=12\\pident=nick\\svalue=a\\\\sb token1=6 token2=0"
+        return receive("tokenused", line)
+            .then(ev => {
+                assert.strictEqual(ev.client.getCache().clid, 5)
+                assert.strictEqual(ev.token, "tok")
+                assert.strictEqual(ev.group.getSGID(), 6)
+                assert.strictEqual(ev.channel, undefined)
+                assert.deepStrictEqual(ev.customset, {forum_id: "12", nick: "a b"})
+                assert.strictEqual(ev.expired, false)
+            })
+    })
+
+    it("should resolve the channel group and the channel of a used channel token", () => {
+        return receive("tokenused", "notifytokenused clid=5 cldbid=8 cluid=abc= token=tok token1=5 token2=2")
+            .then(ev => {
+                assert.strictEqual(ev.group.getCache().cgid, 5)
+                assert.strictEqual(ev.channel.getCache().channel_name, "Games")
+                assert.deepStrictEqual(ev.customset, {})
+            })
+    })
+
+    it("should resolve the channel of a description and a password change", () => {
+        return receive("channeldescriptionchange", "notifychanneldescriptionchanged cid=1")
+            .then(ev => {
+                assert.strictEqual(ev.channel.getCache().channel_name, "Lobby")
+                return receive("channelpasswordchange", "notifychannelpasswordchanged cid=2")
+            })
+            .then(ev => assert.strictEqual(ev.channel.getCache().channel_name, "Games"))
+    })
+
+    it("should resolve the music bot of a TeaSpeak event by its database id", () => {
+        return receive("musicstatusupdate", "notifymusicstatusupdate bot_id=8 player_replay_index=3")
+            .then(ev => {
+                assert.strictEqual(ev.bot.getCache().client_nickname, "alice")
+                assert.strictEqual(ev.event.bot_id, 8)
+            })
+    })
+
+    it("should emit unknown notifications as raw event", () => {
+        var raw = []
+        ts3.on("raw", ev => raw.push(ev))
+        return receive("clientpoke", "notifyclientpoke invokerid=5 invokername=alice msg=hi")
+            .then(() => receive("raw", "notifyconversationhistorydata cid=1 msg=hi"))
+            .then(ev => {
+                assert.deepStrictEqual(raw.map(r => r.name), ["conversationhistorydata"])
+                assert.deepStrictEqual(ev.event, {cid: 1, msg: "hi"})
+            })
+    })
+
+})
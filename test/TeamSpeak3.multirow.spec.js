@@ -0,0 +1,51 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TeamSpeak3 = require(__dirname+"/../TeamSpeak3")
+
+const PERMISSIONS = "permid=1 permname=b_client_ignore_bans permdesc=bans|permid=2 permname=i_client_talk_power permdesc=talk"
+
+describe("TeamSpeak3 multi row commands", () => {
+
+    var ts3
+
+    beforeEach(() => {
+        return FakeSocket.connect({}, line => {
+            if (line === "permissionlist") return PERMISSIONS
+        }).then(res => ts3 = res)
+    })
+
+    afterEach(() => FakeSocket.reset())
+
+    var last = function() {
+        var sent = FakeSocket.sockets[0].sent
+        return sent[sent.length - 1]
+    }
+
+    it("should create a row for every permission with the values of the same index", () => {
+        assert.deepStrictEqual(TeamSpeak3._createPermRows(["i_client_talk_power", 1], false, {permvalue: [75, 1], permskip: 0}), [
+            {permsid: "i_client_talk_power", permvalue: 75, permskip: 0},
+            {permid: 1, permvalue: 1, permskip: 0}
+        ])
+        assert.deepStrictEqual(TeamSpeak3._createPermRows(2, true), [{permsid: 2}])
+    })
+
+    it("should kick and move several clients with one command", () => {
+        return ts3.clientKick([1, 2], 5, "bye")
+            .then(() => {
+                assert.strictEqual(last(), "clientkick reasonid=5 reasonmsg=bye clid=1|clid=2")
+                return ts3.clientMove([3, 4], 7)
+            })
+            .then(() => assert.strictEqual(last(), "clientmove cid=7 cpw= clid=3|clid=4"))
+    })
+
+    it("should add and remove several permissions with one command", () => {
+        return ts3.clientAddPerm(8, ["i_client_talk_power", "b_client_ignore_bans"], [75, true])
+            .then(() => {
+                assert.strictEqual(last(), "clientaddperm cldbid=8 permsid=i_client_talk_power permvalue=75 permskip=0 permnegated=0"
+                    +"|permsid=b_client_ignore_bans permvalue=1 permskip=0 permnegated=0")
+                return ts3.channelGroupDelPerm(5, [2, "b_client_ignore_bans"])
+            })
+            .then(() => assert.strictEqual(last(), "channelgroupdelperm cgid=5 permid=2|permsid=b_client_ignore_bans"))
+    })
+
+})
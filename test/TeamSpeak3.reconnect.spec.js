@@ -0,0 +1,108 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+describe("TeamSpeak3 reconnect", () => {
+
+    var ts3
+    var events
+
+    var connect = function(config, handler) {
+        events = []
+        config = Object.assign({
+            username: "serveradmin",
+            password: "pw",
+            serverport: 9987,
+            nickname: "bot",
+            reconnect: true,
+            reconnectdelay: 1
+        }, config)
+        return FakeSocket.connect(config, handler).then(res => {
+            ts3 = res
+            ts3.on("error", () => null)
+            ts3.on("reconnecting", ev => events.push(["reconnecting", ev]))
+            ts3.on("reconnected", ev => events.push(["reconnected", ev]))
+            ts3.on("close", () => events.push(["close"]))
+            return ts3
+        })
+    }
+
+    afterEach(() => {
+        return ts3.quit()
+            .catch(() => null)
+            .then(() => FakeSocket.wait())
+            .then(() => FakeSocket.reset())
+    })
+
+    it("should restore the login, the server, the nickname and the subscriptions before the queued commands", () => {
+        return connect()
+            .then(() => ts3.registerEvent("server"))
+            .then(() => ts3.useBySid(2))
+            .then(() => {
+                FakeSocket.sockets[0].close()
+                return ts3.version()
+            })
+            .then(() => {
+                assert.strictEqual(FakeSocket.sockets.length, 2)
+                assert.deepStrictEqual(FakeSocket.sockets[1].sent, [
+                    "login serveradmin pw",
+                    "use 2",
+                    "clientupdate client_nickname=bot",
+                    "servernotifyregister event=server",
+                    "version"
+                ])
+                assert.deepStrictEqual(events, [
+                    ["reconnecting", {attempt: 1, delay: 1}],
+                    ["reconnected", {attempt: 1}]
+                ])
+            })
+    })
+
+    it("should double the delay with every failed attempt and give up after the last one", () => {
+        var fail = false
+        return connect({reconnectattempts: 4, reconnectmaxdelay: 4}, line => {
+            if (fail && line.indexOf("login") === 0) return "error id=520 msg=invalid\\sloginname\\sor\\spassword"
+        })
+            .then(() => {
+                fail = true
+                FakeSocket.sockets[0].close()
+                return FakeSocket.wait(80)
+            })
+            .then(() => {
+                assert.deepStrictEqual(events.map(ev => ev[1] ? ev[1].delay : ev[0]), [1, 2, 4, 4, "close"])
+                assert.strictEqual(FakeSocket.sockets.length, 5)
+                return ts3.version()
+            })
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.message, "Query connection has been closed")
+            })
+    })
+
+    it("should start with the first delay again after a successful reconnect", () => {
+        return connect()
+            .then(() => {
+                FakeSocket.sockets[0].close()
+                return FakeSocket.wait(30)
+            })
+            .then(() => {
+                FakeSocket.sockets[1].close()
+                return FakeSocket.wait(30)
+            })
+            .then(() => {
+                assert.deepStrictEqual(events.filter(ev => ev[0] === "reconnecting").map(ev => ev[1]), [
+                    {attempt: 1, delay: 1},
+                    {attempt: 1, delay: 1}
+                ])
+            })
+    })
+
+    it("should not reconnect after quit", () => {
+        return connect()
+            .then(() => ts3.quit())
+            .then(() => FakeSocket.wait(30))
+            .then(() => {
+                assert.strictEqual(FakeSocket.sockets.length, 1)
+                assert.deepStrictEqual(events, [["close"]])
+            })
+    })
+
+})
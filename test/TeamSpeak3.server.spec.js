@@ -0,0 +1,95 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+describe("TeamSpeak3#server", () => {
+
+    var socket
+
+    var connect = function(handler) {
+        return FakeSocket.connect({serverport: 9987, nickname: "bot"}, handler)
+            .then(ts3 => {
+                socket = FakeSocket.sockets[0]
+                return ts3.registerEvent("server").then(() => ts3)
+            })
+    }
+
+    //the lines which have been sent since the given line
+    var since = function(line) {
+        return socket.sent.slice(socket.sent.lastIndexOf(line))
+    }
+
+    afterEach(() => FakeSocket.reset())
+
+    it("should select the virtual server before a command of the handle", () => {
+        return connect()
+            .then(ts3 => ts3.server(2).version())
+            .then(() => assert.strictEqual(since("use 2")[1], "version"))
+    })
+
+    it("should switch back with the nickname and replay the subscriptions once the queue is empty", () => {
+        return connect()
+            .then(ts3 => ts3.server(2).version())
+            .then(() => FakeSocket.wait())
+            .then(() => {
+                assert.deepStrictEqual(since("use 2"), [
+                    "use 2",
+                    "version",
+                    "use port=9987 client_nickname=bot",
+                    "servernotifyregister event=server"
+                ])
+            })
+    })
+
+    it("should restore the home server before the next command without sid", () => {
+        var ts3
+        return connect()
+            .then(res => {
+                ts3 = res
+                ts3.server(2).version()
+                return ts3.whoami()
+            })
+            .then(() => {
+                assert.deepStrictEqual(since("use 2"), [
+                    "use 2",
+                    "version",
+                    "use port=9987 client_nickname=bot",
+                    "servernotifyregister event=server",
+                    "whoami"
+                ])
+                assert.deepStrictEqual(ts3.getSubscriptions(), [{event: "server"}])
+            })
+    })
+
+    it("should not restore a nickname or a subscription which has been set through the handle", () => {
+        var ts3
+        return connect()
+            .then(res => {
+                ts3 = res
+                return ts3.server(2).clientUpdate({client_nickname: "other"})
+            })
+            .then(() => ts3.server(2).registerEvent("channel", 0))
+            .then(() => ts3.whoami())
+            .then(() => {
+                assert.deepStrictEqual(ts3.getSubscriptions(), [{event: "server"}])
+                assert.ok(socket.sent.indexOf("use port=9987 client_nickname=bot") >= 0)
+            })
+    })
+
+    it("should reject the next command when the home server can not be selected again", () => {
+        var home = true
+        return connect(line => {
+            if (line.indexOf("use port=9987 ") === 0 && !home) return "error id=1033 msg=server\\sis\\snot\\srunning"
+        })
+            .then(ts3 => {
+                home = false
+                return ts3.server(2).version()
+                    .then(() => FakeSocket.wait())
+                    .then(() => ts3.whoami())
+            })
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.id, 1033)
+                assert.strictEqual(socket.sent.filter(l => l.indexOf("use port=9987 ") === 0).length, 2)
+            })
+    })
+
+})
@@ -0,0 +1,130 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TeamSpeak3 = require(__dirname+"/../TeamSpeak3")
+
+describe("TeamSpeak3 subscriptions", () => {
+
+    var socket
+
+    var registered = function() {
+        return socket.sent.filter(l => l.indexOf("servernotify") === 0)
+    }
+
+    var connect = function(config, handler, Class) {
+        return FakeSocket.connect(config, handler, Class).then(ts3 => {
+            socket = FakeSocket.sockets[0]
+            return ts3
+        })
+    }
+
+    afterEach(() => FakeSocket.reset())
+
+    it("should keep track of the subscriptions", () => {
+        var ts3
+        return connect({})
+            .then(res => {
+                ts3 = res
+                return ts3.registerEvent("channel", 0)
+            })
+            .then(() => ts3.registerEvent("channel", 0))
+            .then(() => ts3.registerEvent("server"))
+            .then(() => {
+                assert.deepStrictEqual(ts3.getSubscriptions(), [{event: "channel", id: 0}, {event: "server"}])
+                ts3.getSubscriptions()[0].id = 5
+                assert.strictEqual(ts3.getSubscriptions()[0].id, 0)
+                return ts3.unregister()
+            })
+            .then(() => {
+                assert.deepStrictEqual(ts3.getSubscriptions(), [])
+                assert.strictEqual(registered().pop(), "servernotifyunregister")
+            })
+    })
+
+    it("should subscribe to every event once with registerAll", () => {
+        var ts3
+        return connect({})
+            .then(res => {
+                ts3 = res
+                return ts3.registerAll()
+            })
+            .then(() => {
+                assert.deepStrictEqual(registered(), [
+                    "servernotifyregister event=server",
+                    "servernotifyregister event=channel id=0",
+                    "servernotifyregister event=textserver",
+                    "servernotifyregister event=textchannel",
+                    "servernotifyregister event=textprivate",
+                    "servernotifyregister event=tokenused"
+                ])
+                assert.strictEqual(ts3.getSubscriptions().length, 6)
+            })
+    })
+
+    it("should subscribe once a listener has been attached", () => {
+        return connect({autoregister: true})
+            .then(ts3 => {
+                ts3.on("clientmoved", () => null)
+                ts3.on("channeledit", () => null)
+                ts3.on("textmessage", () => null)
+                ts3.on("clientpoke", () => null)
+                return FakeSocket.wait()
+            })
+            .then(() => {
+                assert.deepStrictEqual(registered(), [
+                    "servernotifyregister event=channel id=0",
+                    "servernotifyregister event=textserver",
+                    "servernotifyregister event=textchannel",
+                    "servernotifyregister event=textprivate"
+                ])
+            })
+    })
+
+    it("should defer the subscriptions of listeners which have been attached before the query is ready", () => {
+        class Bot extends TeamSpeak3 {
+            constructor(config) {
+                super(config)
+                this.on("clientconnect", () => null)
+            }
+        }
+        return connect({autoregister: true, serverport: 9987}, null, Bot)
+            .then(ts3 => {
+                assert.deepStrictEqual(socket.sent, ["use port=9987", "servernotifyregister event=server"])
+                assert.deepStrictEqual(ts3.getPendingSubscriptions(), [])
+            })
+    })
+
+    it("should not subscribe without autoregister", () => {
+        return connect({})
+            .then(ts3 => {
+                ts3.on("clientconnect", () => null)
+                return FakeSocket.wait()
+            })
+            .then(() => assert.deepStrictEqual(registered(), []))
+    })
+
+    it("should keep a failed subscription pending until it has been sent again", () => {
+        var fail = true
+        var errors = []
+        var ts3
+        return connect({autoregister: true}, line => {
+            if (fail && line.indexOf("servernotifyregister") === 0) return "error id=2568 msg=insufficient\\sclient\\spermissions"
+        })
+            .then(res => {
+                ts3 = res
+                ts3.on("error", e => errors.push(e))
+                ts3.on("tokenused", () => null)
+                return FakeSocket.wait()
+            })
+            .then(() => {
+                assert.strictEqual(errors.length, 1)
+                assert.deepStrictEqual(ts3.getPendingSubscriptions(), [{event: "tokenused"}])
+                fail = false
+                return ts3.registerPending()
+            })
+            .then(() => {
+                assert.deepStrictEqual(ts3.getPendingSubscriptions(), [])
+                assert.deepStrictEqual(ts3.getSubscriptions(), [{event: "tokenused"}])
+            })
+    })
+
+})
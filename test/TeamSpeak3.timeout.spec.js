@@ -0,0 +1,42 @@
+const assert = require("assert")
+const sinon = require("sinon")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+
+describe("TeamSpeak3 command timeout", () => {
+
+    var clock
+
+    //snapshots never get answered
+    var handler = line => (line === "serversnapshotcreate") ? [] : undefined
+
+    afterEach(() => {
+        if (clock) clock.restore()
+        clock = null
+        FakeSocket.reset()
+    })
+
+    it("should not time out commands by default", () => {
+        return FakeSocket.connect({}, handler).then(ts3 => {
+            var settled = false
+            clock = sinon.useFakeTimers({toFake: ["setTimeout", "clearTimeout"]})
+            ts3.execute("serversnapshotcreate").then(() => settled = true, () => settled = true)
+            clock.tick(0)
+            assert.strictEqual(FakeSocket.sockets[0].sent.pop(), "serversnapshotcreate")
+            clock.tick(120000)
+            return Promise.resolve().then(() => {
+                assert.strictEqual(settled, false)
+                assert.strictEqual(FakeSocket.sockets[0].closed, false)
+            })
+        })
+    })
+
+    it("should reject a command which takes longer than the configured timeout", () => {
+        return FakeSocket.connect({commandtimeout: 5}, handler)
+            .then(ts3 => ts3.execute("serversnapshotcreate"))
+            .then(() => assert.fail("should have been rejected"), e => {
+                assert.strictEqual(e.name, "TimeoutError")
+                assert.strictEqual(e.timeout, 5)
+            })
+    })
+
+})
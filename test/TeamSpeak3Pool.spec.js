@@ -0,0 +1,84 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TeamSpeak3Pool = require(__dirname+"/../TeamSpeak3Pool")
+
+describe("TeamSpeak3Pool", () => {
+
+    var ts3
+
+    var connect = function(config) {
+        config = Object.assign({username: "serveradmin", password: "pw", serverport: 9987, sessions: 3}, config)
+        return FakeSocket.connect(config, null, TeamSpeak3Pool)
+            .then(res => ts3 = res)
+            .then(() => FakeSocket.wait())
+    }
+
+    //the commands which have been sent on every socket since the connection has been made
+    var sent = function() {
+        return FakeSocket.sockets.map(socket => socket.sent.filter(l => ["login", "use"].indexOf(l.split(" ")[0]) < 0))
+    }
+
+    afterEach(() => {
+        return ts3.quit()
+            .catch(() => null)
+            .then(() => FakeSocket.wait())
+            .then(() => FakeSocket.reset())
+    })
+
+    it("should restore the login and the selected server on every session", () => {
+        return connect().then(() => {
+            assert.strictEqual(FakeSocket.sockets.length, 3)
+            FakeSocket.sockets.slice(1).forEach(socket => {
+                assert.deepStrictEqual(socket.sent, ["login serveradmin pw", "use port=9987"])
+            })
+        })
+    })
+
+    it("should spread read-only commands over the sessions", () => {
+        return connect()
+            .then(() => Promise.all([ts3.version(), ts3.version(), ts3.version()]))
+            .then(() => assert.deepStrictEqual(sent().map(lines => lines.indexOf("version") >= 0), [true, true, true]))
+    })
+
+    it("should keep a read behind a write which is queued on the primary session", () => {
+        return connect()
+            .then(() => {
+                var before = FakeSocket.sockets[0].sent.length
+                return Promise.all([
+                    ts3.channelEdit(1, {channel_name: "a"}),
+                    ts3.channelInfo(1),
+                    ts3.channelInfo(1)
+                ]).then(() => {
+                    assert.deepStrictEqual(FakeSocket.sockets[0].sent.slice(before), [
+                        "channeledit channel_name=a cid=1",
+                        "channelinfo cid=1",
+                        "channelinfo cid=1"
+                    ])
+                })
+            })
+    })
+
+    it("should keep reads on the primary session while a server selection is pending and select it on all sessions", () => {
+        return connect()
+            .then(() => Promise.all([ts3.useBySid(2), ts3.version()]))
+            .then(() => {
+                var primary = FakeSocket.sockets[0].sent
+                assert.deepStrictEqual(primary.slice(primary.indexOf("use 2")), ["use 2", "version"])
+                FakeSocket.sockets.slice(1).forEach(socket => assert.strictEqual(socket.sent[socket.sent.length - 1], "use 2"))
+            })
+    })
+
+    it("should restore a session which has been reconnected", () => {
+        return connect({reconnect: true, reconnectdelay: 1})
+            .then(() => {
+                FakeSocket.sockets[1].close()
+                return FakeSocket.wait(30)
+            })
+            .then(() => {
+                assert.strictEqual(FakeSocket.sockets.length, 4)
+                assert.deepStrictEqual(FakeSocket.sockets[3].sent, ["login serveradmin pw", "use port=9987"])
+                assert.strictEqual(ts3.getSessions()[0].connected, true)
+            })
+    })
+
+})
@@ -0,0 +1,123 @@
+const assert = require("assert")
+const FakeSocket = require(__dirname+"/helper/FakeSocket")
+const TokenManager = require(__dirname+"/../manager/TokenManager")
+const escape = require(__dirname+"/../helper/escape")
+
+describe("TokenManager", () => {
+
+    describe("metadata", () => {
+
+        it("should keep a plain description", () => {
+            assert.strictEqual(TokenManager.encodeDescription({description: "plain"}), "plain")
+            assert.deepStrictEqual(TokenManager.decodeDescription("plain"), {description: "plain", meta: undefined, expires: null})
+            assert.deepStrictEqual(TokenManager.decodeDescription(), {description: "", meta: undefined, expires: null})
+        })
+
+        it("should store the metadata and the expiry date in the description", () => {
+            var encoded = TokenManager.encodeDescription({description: "forum", meta: {user: 12}, expires: 1500000000})
+            assert.strictEqual(encoded, "ts3meta:{\"d\":\"forum\",\"m\":{\"user\":12},\"e\":1500000000}")
+            assert.deepStrictEqual(TokenManager.decodeDescription(encoded), {description: "forum", meta: {user: 12}, expires: 1500000000})
+        })
+
+        it("should read a broken description as plain description", () => {
+            assert.deepStrictEqual(TokenManager.decodeDescription("ts3meta:{"), {description: "ts3meta:{", meta: undefined, expires: null})
+        })
+
+        it("should encode and decode the custom set", () => {
+            var encoded = TokenManager.encodeCustomSet({forum_id: 12, nick: "a b|c"})
+            assert.strictEqual(encoded, "ident=forum_id value=12|ident=nick value=a\\sb\\pc")
+            assert.deepStrictEqual(TokenManager.decodeCustomSet(encoded), {forum_id: "12", nick: "a b|c"})
+            assert.strictEqual(TokenManager.encodeCustomSet("ident=a value=b"), "ident=a value=b")
+            assert.strictEqual(TokenManager.encodeCustomSet(), undefined)
+            assert.deepStrictEqual(TokenManager.decodeCustomSet(""), {})
+        })
+
+    })
+
+    describe("tokens", () => {
+
+        var ts3
+        var socket
+        var now = Math.floor(Date.now() / 1000)
+        var keys = [
+            "token=old token_type=0 token_id1=6 token_id2=0 token_created=1 token_description="
+                +escape(TokenManager.encodeDescription({description: "old", expires: now - 10})),
+            "token=new token_type=1 token_id1=5 token_id2=2 token_created=1 token_description="
+                +escape(TokenManager.encodeDescription({description: "new", meta: [1], expires: now + 3600})),
+            "token=plain token_type=0 token_id1=6 token_id2=0 token_created=1 token_description=plain"
+        ]
+
+        beforeEach(() => {
+            var created = 0
+            return FakeSocket.connect({}, line => {
+                switch (line.split(" ")[0]) {
+                    case "privilegekeyadd": return "token=t"+(++created)
+                    case "privilegekeylist": return keys.join("|")
+                    case "servergrouplist": return "sgid=6 name=Member type=1"
+                    case "channelgrouplist": return "cgid=5 name=Operator type=1"
+                    case "channellist": return "cid=2 pid=0 channel_order=0 channel_name=Games"
+                }
+            }).then(res => {
+                ts3 = res
+                socket = FakeSocket.sockets[0]
+            })
+        })
+
+        afterEach(() => FakeSocket.reset())
+
+        var sent = cmd => socket.sent.filter(l => l.split(" ")[0] === cmd)
+
+        it("should create several tokens with their metadata", () => {
+            return ts3.tokenCreate({group: 6, count: 2, ttl: 60, meta: {user: 1}, customset: {forum_id: 1}})
+                .then(tokens => {
+                    assert.deepStrictEqual(tokens.map(t => [t.token, t.type, t.id1, t.id2, t.expires - t.created]), [
+                        ["t1", 0, 6, 0, 60],
+                        ["t2", 0, 6, 0, 60]
+                    ])
+                    var description = escape(TokenManager.encodeDescription({description: "", meta: {user: 1}, expires: tokens[0].expires}))
+                    assert.deepStrictEqual(sent("privilegekeyadd"), Array(2).fill(
+                        "privilegekeyadd tokentype=0 tokenid1=6 tokenid2=0 tokendescription="+description
+                        +" tokencustomset=ident=forum_id\\svalue=1"
+                    ))
+                    assert.strictEqual(ts3._tokens.lookup("t1").meta.user, 1)
+                })
+        })
+
+        it("should reject invalid tokens before sending them", () => {
+            return ts3.tokenCreate({group: 5, channel: undefined, count: 0})
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.ok(/Invalid Token count/.test(e.message))
+                    return ts3.tokenCreate({})
+                })
+                .then(() => assert.fail("should have been rejected"), e => {
+                    assert.ok(/No Group given/.test(e.message))
+                    assert.deepStrictEqual(sent("privilegekeyadd"), [])
+                })
+        })
+
+        it("should list the tokens with their group, channel and metadata", () => {
+            return ts3.tokenList()
+                .then(tokens => {
+                    assert.deepStrictEqual(tokens.map(t => [t.token, t.description, t.expired, t.group.getCache().name]), [
+                        ["old", "old", true, "Member"],
+                        ["new", "new", false, "Operator"],
+                        ["plain", "plain", false, "Member"]
+                    ])
+                    assert.strictEqual(tokens[1].channel.getCache().channel_name, "Games")
+                    assert.deepStrictEqual(tokens[1].meta, [1])
+                })
+        })
+
+        it("should only revoke the expired tokens", () => {
+            return ts3.tokenRevokeExpired()
+                .then(revoked => {
+                    assert.deepStrictEqual(revoked.map(t => t.token), ["old"])
+                    assert.deepStrictEqual(sent("privilegekeydelete"), ["privilegekeydelete token=old"])
+                    assert.strictEqual(ts3._tokens.lookup("old"), undefined)
+                    assert.strictEqual(ts3._tokens.lookup("new").description, "new")
+                })
+        })
+
+    })
+
+})
@@ -0,0 +1,92 @@
+const mock = require("mock-require")
+const EventEmitter = require("events")
+
+const OK = "error id=0 msg=ok"
+
+/**
+ * Replaces the raw protocol, every sent line gets recorded
+ * With a handler every line gets answered asynchronously with the lines the handler returns
+ * (nothing for a plain ok, a string for a response or an error line, an Array for multiple lines)
+ */
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super()
+        this.sent = []
+        this.closed = false
+        this._handler = FakeSocket.handler
+        FakeSocket.sockets.push(this)
+        if (this._handler) setImmediate(() => this.open())
+    }
+
+    open() {
+        this.emit("connect")
+        this.emit("line", "TS3")
+        this.emit("line", "Welcome to the TeamSpeak 3 ServerQuery interface")
+    }
+
+    send(str) {
+        this.sent.push(str)
+        if (!this._handler) return
+        var res = this._handler(str, this)
+        var lines = (res === undefined) ? [OK] : [].concat(res)
+        if (lines.length > 0 && lines[lines.length - 1].indexOf("error") !== 0) lines.push(OK)
+        setImmediate(() => {
+            if (this.closed) return
+            this.reply.apply(this, lines)
+            if (str === "quit") this.close()
+        })
+    }
+
+    reply() {
+        Array.prototype.slice.call(arguments).forEach(line => this.emit("line", line))
+    }
+
+    sendKeepAlive() {}
+
+    close() {
+        if (this.closed) return
+        this.closed = true
+        this.emit("close")
+    }
+}
+
+FakeSocket.OK = OK
+FakeSocket.handler = null
+FakeSocket.sockets = []
+
+/**
+ * Closes all sockets and forgets the handler
+ */
+FakeSocket.reset = function() {
+    FakeSocket.sockets.forEach(socket => socket.close())
+    FakeSocket.sockets = []
+    FakeSocket.handler = null
+}
+
+mock(require.resolve(__dirname+"/../../transport/protocols/raw.js"), FakeSocket)
+mock.reRequire(__dirname+"/../../transport/TS3Query")
+const TeamSpeak3 = mock.reRequire(__dirname+"/../../TeamSpeak3")
+
+/**
+ * Creates a TeamSpeak Instance on a socket which gets answered by the handler and waits until it is ready
+ */
+FakeSocket.connect = function(config, handler, Class = TeamSpeak3) {
+    FakeSocket.handler = handler || (() => undefined)
+    var ts3 = new Class(config)
+    return new Promise((fulfill, reject) => {
+        ts3.once("error", reject)
+        ts3.once("ready", () => {
+            ts3.removeListener("error", reject)
+            fulfill(ts3)
+        })
+    })
+}
+
+/**
+ * Waits until the answers which are in flight have been received
+ */
+FakeSocket.wait = function(ms = 10) {
+    return new Promise(fulfill => setTimeout(fulfill, ms))
+}
+
+module.exports = FakeSocket
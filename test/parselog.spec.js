@@ -0,0 +1,84 @@
+const assert = require("assert")
+const parseLog = require(__dirname+"/../helper/parselog")
+
+describe("parseLog", () => {
+
+    it("should parse the columns of a line", () => {
+        var line = "2018-05-01 12:30:45.123456|INFO    |VirtualServerBase|  1| listening on 0.0.0.0:9987"
+        var entry = parseLog(line)
+        assert.strictEqual(entry.timestamp.toISOString(), "2018-05-01T12:30:45.123Z")
+        assert.strictEqual(entry.level, "INFO")
+        assert.strictEqual(entry.channel, "VirtualServerBase")
+        assert.strictEqual(entry.virtualServerId, 1)
+        assert.strictEqual(entry.message, "listening on 0.0.0.0:9987")
+        assert.strictEqual(entry.line, line)
+        assert.strictEqual(entry.type, null)
+        assert.strictEqual(entry.data, null)
+    })
+
+    it("should set the virtual server id to null for instance entries", () => {
+        var entry = parseLog("2018-05-01 12:30:45|WARNING |Accounting    |   | unable to open licensekey")
+        assert.strictEqual(entry.virtualServerId, null)
+        assert.strictEqual(entry.timestamp.toISOString(), "2018-05-01T12:30:45.000Z")
+    })
+
+    it("should keep lines which can not be parsed", () => {
+        var entry = parseLog("some garbage")
+        assert.strictEqual(entry.timestamp, null)
+        assert.strictEqual(entry.level, null)
+        assert.strictEqual(entry.message, "some garbage")
+        assert.strictEqual(entry.line, "some garbage")
+    })
+
+    it("should recognize client connects", () => {
+        var entry = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServerBase|  1| client connected 'Max'(id:12) from 127.0.0.1:51234")
+        assert.strictEqual(entry.type, "clientconnect")
+        assert.deepStrictEqual(entry.data, {name: "Max", cldbid: 12, ip: "127.0.0.1", port: 51234})
+    })
+
+    it("should recognize client disconnects", () => {
+        var entry = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServerBase|  1| client disconnected 'Max'(id:12) reason 'reasonmsg=leaving'")
+        assert.strictEqual(entry.type, "clientdisconnect")
+        assert.deepStrictEqual(entry.data, {name: "Max", cldbid: 12, reason: "reasonmsg=leaving"})
+    })
+
+    it("should recognize added and deleted bans", () => {
+        var added = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServer |  1| ban added reason='spam' cluid='abc=' bantime=600 by client 'Admin'(id:2)")
+        assert.strictEqual(added.type, "banadd")
+        assert.deepStrictEqual(added.data, {reason: "spam", cluid: "abc=", bantime: 600, invoker: "Admin", invokercldbid: 2})
+        var deleted = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServer |  1| ban deleted reason='spam' ip='1.2.3.4' by query client 'serveradmin'(id:1)")
+        assert.strictEqual(deleted.type, "bandel")
+        assert.deepStrictEqual(deleted.data, {reason: "spam", ip: "1.2.3.4", invoker: "serveradmin", invokercldbid: 1})
+    })
+
+    it("should recognize permission changes", () => {
+        var entry = parseLog(
+            "2018-05-01 12:30:45.1|INFO    |VirtualServer |  1| permission 'i_client_talk_power'(id:42) with values (value:75, negated:0, skipchannel:1)"
+            +" was added by 'Admin'(id:2) to servergroup 'Guest'(id:8)"
+        )
+        assert.strictEqual(entry.type, "permission")
+        assert.deepStrictEqual(entry.data, {
+            permsid: "i_client_talk_power",
+            permid: 42,
+            value: 75,
+            negate: false,
+            skip: true,
+            action: "added",
+            invoker: "Admin",
+            invokercldbid: 2,
+            target: "servergroup",
+            targetname: "Guest",
+            targetid: 8
+        })
+    })
+
+    it("should recognize server group changes", () => {
+        var added = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServer |  1| client 'Max'(id:12) was added to servergroup 'Admin'(id:6) by client 'Boss'(id:2)")
+        assert.strictEqual(added.type, "servergroupadd")
+        assert.deepStrictEqual(added.data, {name: "Max", cldbid: 12, group: "Admin", sgid: 6, invoker: "Boss", invokercldbid: 2})
+        var removed = parseLog("2018-05-01 12:30:45.1|INFO    |VirtualServer |  1| client 'Max'(id:12) was removed from servergroup 'Admin'(id:6) by query client 'serveradmin'(id:1)")
+        assert.strictEqual(removed.type, "servergroupdel")
+        assert.strictEqual(removed.data.invoker, "serveradmin")
+    })
+
+})
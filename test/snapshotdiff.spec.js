@@ -0,0 +1,79 @@
+const assert = require("assert")
+const diffSnapshots = require(__dirname+"/../helper/snapshotdiff")
+
+describe("diffSnapshots", () => {
+
+    var snapshot = () => ({
+        server: {virtualserver_name: "Server", virtualserver_maxclients: 32},
+        channels: [
+            {cid: 1, pid: 0, channel_order: 0, channel_name: "Lobby", permissions: {}},
+            {cid: 2, pid: 1, channel_order: 0, channel_name: "Sub", channel_topic: "a", permissions: {i_channel_needed_join_power: 10}}
+        ],
+        servergroups: [{sgid: 6, name: "Admin", type: 1, permissions: {b_serverinstance_help_view: 1}}],
+        channelgroups: [{cgid: 5, name: "Channel Admin", type: 1, permissions: {}}]
+    })
+
+    it("should report no changes for equal snapshots", () => {
+        var diff = diffSnapshots(snapshot(), snapshot())
+        assert.deepStrictEqual(diff.server, {})
+        ;["channels", "servergroups", "channelgroups"].forEach(k => {
+            assert.deepStrictEqual(diff[k], {added: [], removed: [], changed: []})
+        })
+    })
+
+    it("should report changed server properties", () => {
+        var to = snapshot()
+        to.server.virtualserver_name = "Renamed"
+        delete to.server.virtualserver_maxclients
+        assert.deepStrictEqual(diffSnapshots(snapshot(), to).server, {
+            virtualserver_name: {from: "Server", to: "Renamed"},
+            virtualserver_maxclients: {from: 32, to: undefined}
+        })
+    })
+
+    it("should match channels by their path instead of their id", () => {
+        var to = snapshot()
+        to.channels.forEach(c => c.cid += 10)
+        to.channels[1].pid = 11
+        assert.deepStrictEqual(diffSnapshots(snapshot(), to).channels, {added: [], removed: [], changed: []})
+    })
+
+    it("should report added, removed and changed channels", () => {
+        var to = snapshot()
+        to.channels[1].channel_topic = "b"
+        to.channels[1].permissions = {i_channel_needed_join_power: 20, i_channel_needed_talk_power: 5}
+        to.channels.push({cid: 3, pid: 0, channel_order: 1, channel_name: "AFK", permissions: {}})
+        var from = snapshot()
+        from.channels.push({cid: 4, pid: 1, channel_order: 2, channel_name: "Old", permissions: {}})
+        assert.deepStrictEqual(diffSnapshots(from, to).channels, {
+            added: [{path: ["AFK"]}],
+            removed: [{path: ["Lobby", "Old"]}],
+            changed: [{
+                path: ["Lobby", "Sub"],
+                properties: {channel_topic: {from: "a", to: "b"}},
+                permissions: {
+                    added: {i_channel_needed_talk_power: 5},
+                    removed: {},
+                    changed: {i_channel_needed_join_power: {from: 10, to: 20}}
+                }
+            }]
+        })
+    })
+
+    it("should match groups by their name and type", () => {
+        var to = snapshot()
+        to.servergroups[0].sgid = 9
+        to.servergroups[0].permissions = {}
+        to.channelgroups[0].type = 2
+        var diff = diffSnapshots(snapshot(), to)
+        assert.deepStrictEqual(diff.servergroups.changed, [{
+            name: "Admin",
+            type: 1,
+            properties: {},
+            permissions: {added: {}, removed: {b_serverinstance_help_view: 1}, changed: {}}
+        }])
+        assert.deepStrictEqual(diff.channelgroups.added, [{name: "Channel Admin", type: 2}])
+        assert.deepStrictEqual(diff.channelgroups.removed, [{name: "Channel Admin", type: 1}])
+    })
+
+})
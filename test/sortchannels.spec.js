@@ -0,0 +1,36 @@
+const assert = require("assert")
+const sortChannels = require(__dirname+"/../helper/sortchannels")
+
+describe("sortChannels", () => {
+
+    it("should sort the channels by their channel_order", () => {
+        var channels = [
+            {cid: 3, channel_order: 2},
+            {cid: 1, channel_order: 0},
+            {cid: 2, channel_order: 1}
+        ]
+        assert.deepStrictEqual(sortChannels(channels).map(c => c.cid), [1, 2, 3])
+    })
+
+    it("should use the cache of TeamSpeakChannels", () => {
+        var channel = (cid, order) => ({getCache: () => ({cid: cid, channel_order: order})})
+        var channels = [channel(5, 4), channel(4, 0)]
+        assert.deepStrictEqual(sortChannels(channels).map(c => c.getCache().cid), [4, 5])
+    })
+
+    it("should append channels which are not part of the chain", () => {
+        var channels = [
+            {cid: 7, channel_order: 99},
+            {cid: 2, channel_order: 1},
+            {cid: 1, channel_order: 0}
+        ]
+        assert.deepStrictEqual(sortChannels(channels).map(c => c.cid), [1, 2, 7])
+    })
+
+    it("should not modify the given array", () => {
+        var channels = [{cid: 2, channel_order: 1}, {cid: 1, channel_order: 0}]
+        sortChannels(channels)
+        assert.deepStrictEqual(channels.map(c => c.cid), [2, 1])
+    })
+
+})
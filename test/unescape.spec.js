@@ -0,0 +1,25 @@
+const assert = require("assert")
+const escape = require(__dirname+"/../helper/escape")
+const unescape = require(__dirname+"/../helper/unescape")
+
+describe("unescape", () => {
+
+    it("should unescape every escape sequence", () => {
+        assert.strictEqual(unescape("a\\sb\\pc\\nd\\re\\tf\\vg\\fh\\/i\\\\j"), "a b|c\nd\re\tf\vg\fh/i\\j")
+    })
+
+    it("should unescape an escaped backslash before an s", () => {
+        assert.strictEqual(unescape("a\\\\sb"), "a\\sb")
+    })
+
+    it("should distinguish an escaped space from an escaped backslash", () => {
+        assert.strictEqual(unescape("\\s\\\\s\\\\\\s"), " \\s\\ ")
+    })
+
+    it("should restore escaped strings", () => {
+        ["C:\\server\\path", "a | b", "\\p\\s\\\\", "{\"d\":\"x y\"}"].forEach(s => {
+            assert.strictEqual(unescape(escape(s)), s)
+        })
+    })
+
+})
@@ -24,7 +24,9 @@ class Command {
     constructor() {
         this._cmd = ""
         this._opts = {}
+        this._multiOpts = []
         this._flags = []
+        this._raw = ""
     }
 
 	
@@ -52,6 +54,18 @@ class Command {
     }
 
 
+    /** 
+     * Sets multiple rows of TeamSpeak Key Value Pairs which get separated by a pipe
+     * @version 1.10
+     * @param {object[]} opts - List of objects with the key value pairs of every row
+     * @returns {this}
+     */ 
+    setMultiOptions(opts) {
+        this._multiOpts = opts
+        return this
+    }
+
+
     /** 
      * Set TeamSpeak Flags
      * @version 1.0 
@@ -64,6 +78,18 @@ class Command {
     }
 
 
+    /** 
+     * Sets a String which gets appended to the command without escaping
+     * @version 1.10
+     * @param {string} raw - The String which should get appended
+     * @returns {this}
+     */ 
+    setRaw(raw) {
+        this._raw = raw
+        return this
+    }
+
+
     /** 
      * Checks if a error has been received
      * @version 1.0 
@@ -78,9 +104,15 @@ class Command {
                 return escape(k)+"="+escape(v)
             }).join("|"))
         }
+        if (this._multiOpts.length > 0) {
+            cmd += " "+this._multiOpts.map(row => {
+                return Object.keys(row).map(k => escape(k)+"="+escape(row[k])).join(" ")
+            }).join("|")
+        }
         this._flags.forEach(f => {
             cmd += " "+escape(f)
         })
+        if (this._raw.length > 0) cmd += " "+this._raw
         return cmd
     }
 }
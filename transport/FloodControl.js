@@ -0,0 +1,131 @@
+/**
+ * @file FloodControl.js
+ * @ignore
+ * @copyright David Kartnaller 2017
+ * @license GNU GPLv3
+ * @author David Kartnaller <david.kartnaller@gmail.com>
+ */
+
+
+/**
+ * Token Bucket which mirrors the antiflood points of a virtual server
+ * Every command adds points, the server removes virtualserver_antiflood_points_tick_reduce points every tick
+ * and blocks commands when virtualserver_antiflood_points_needed_command_block has been reached
+ * @class
+ */
+class FloodControl {
+    /**
+     * Creates a new FloodControl
+     * @constructor
+     * @version 1.10
+     * @param {object} [options] - The Flood Control Settings
+     * @param {number} [options.tickReduce=5] - The points which get removed every tick
+     * @param {number} [options.commandBlock=150] - The points at which commands get blocked
+     * @param {number} [options.tickInterval=1000] - The length of a tick (in ms)
+     * @param {number} [options.cost=1] - The points every command costs
+     * @param {object} [options.costs] - Points for single commands which differ from the default cost
+     */
+    constructor(options = {}) {
+        this._tickReduce = 5
+        this._commandBlock = 150
+        this._tickInterval = options.tickInterval || 1000
+        this._cost = options.cost || 1
+        this._costs = options.costs || {}
+        this._points = 0
+        this._updated = Date.now()
+        this._blockedUntil = 0
+        this.setLimits(options)
+    }
+
+
+    /**
+     * Updates the limits, usually with the values from serverinfo
+     * @version 1.10
+     * @param {object} limits - The Limits
+     * @param {number} [limits.tickReduce] - The points which get removed every tick
+     * @param {number} [limits.commandBlock] - The points at which commands get blocked
+     * @returns {this}
+     */
+    setLimits(limits) {
+        if (limits.tickReduce > 0) this._tickReduce = limits.tickReduce
+        if (limits.commandBlock > 0) this._commandBlock = limits.commandBlock
+        return this
+    }
+
+
+    /**
+     * Returns the points a command costs
+     * @version 1.10
+     * @param {string} cmd - The Command name
+     * @returns {number}
+     */
+    getCost(cmd) {
+        return (cmd in this._costs) ? this._costs[cmd] : this._cost
+    }
+
+
+    /**
+     * Returns the points which may get spent at once without getting blocked
+     * @version 1.10
+     * @returns {number}
+     */
+    getCapacity() {
+        return this._commandBlock - 1
+    }
+
+
+    /**
+     * Calculates how long a command has to wait until it can be sent without getting blocked
+     * @version 1.10
+     * @param {(string|string[])} cmd - The Command name or the names of multiple Commands which get sent together
+     * @returns {number} the time to wait in ms
+     */
+    getDelay(cmd) {
+        this._reduce()
+        var now = Date.now()
+        var delay = Math.max(this._blockedUntil - now, 0)
+        var cost = [].concat(cmd).reduce((sum, c) => sum + this.getCost(c), 0)
+        var exceeding = this._points + cost - this.getCapacity()
+        if (exceeding > 0)
+            delay = Math.max(delay, Math.ceil(exceeding / this._tickReduce * this._tickInterval))
+        return delay
+    }
+
+
+    /**
+     * Spends the points for a command which has been sent
+     * @version 1.10
+     * @param {string} cmd - The Command name
+     */
+    consume(cmd) {
+        this._reduce()
+        this._points += this.getCost(cmd)
+    }
+
+
+    /**
+     * Backs off after the server reported a flood ban
+     * @version 1.10
+     * @param {number} [seconds=1] - The time the server asked to wait
+     */
+    penalize(seconds = 1) {
+        this._reduce()
+        this._points = this._commandBlock
+        this._blockedUntil = Date.now() + seconds * 1000
+    }
+
+
+    /**
+     * Removes the points which have been reduced since the last update
+     * @version 1.10
+     * @private
+     */
+    _reduce() {
+        var now = Date.now()
+        this._points = Math.max(0, this._points - (now - this._updated) / this._tickInterval * this._tickReduce)
+        this._updated = now
+    }
+
+}
+
+module.exports = FloodControl
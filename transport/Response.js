@@ -24,6 +24,7 @@ class Response {
      * @returns {this}
      */
     setLine(line) {
+        this._raw = line
         this._response = Response.parse(line)
         return this
     }
@@ -71,6 +72,16 @@ class Response {
     }
 
 
+    /**
+     * Get the unparsed Response Line which has been received from the TeamSpeak Query
+     * @version 1.10
+     * @return {string} Returns the Response Line
+     */
+    getRaw() {
+        return this._raw || null
+    }
+
+
     /**
      * Parses a TeamSpeak Response Line
      * @version 1.0
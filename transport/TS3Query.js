@@ -10,8 +10,43 @@ const Command = require(__dirname+"/Command.js")
 const Response = require(__dirname+"/Response.js")
 const RAW = require(__dirname+"/protocols/raw.js")
 const SSH = require(__dirname+"/protocols/ssh.js")
+const TimeoutError = require(__dirname+"/../exception/TimeoutError.js")
+const AbortError = require(__dirname+"/../exception/AbortError.js")
+const FloodControl = require(__dirname+"/FloodControl.js")
 const EventEmitter = require("events")
 
+/**
+ * The available priority lanes, ordered from the highest to the lowest priority
+ * @ignore
+ */
+const PRIORITIES = ["high", "normal", "background"]
+
+/**
+ * Commands which do not get sent with the normal priority by default
+ * @ignore
+ */
+const DEFAULT_PRIORITIES = {
+    clientkick: "high",
+    clientmove: "high",
+    clientpoke: "high",
+    banadd: "high",
+    banclient: "high",
+    clientdblist: "background",
+    clientdbfind: "background",
+    complainlist: "background",
+    banlist: "background",
+    logview: "background",
+    permfind: "background",
+    ftgetfilelist: "background",
+    serversnapshotcreate: "background"
+}
+
+/**
+ * Commands which change or do not depend on the selected virtual server
+ * @ignore
+ */
+const NO_SERVER_SWITCH = ["use", "login", "logout", "quit"]
+
 
 /**
  * TS3 Query Connection
@@ -31,9 +66,17 @@ class TS3Query extends EventEmitter {
     constructor(host, port, proto = "raw", username, password) {
         super()
         this.connected = false
+        this._host = host
+        this._port = port
         this._proto = proto
+        this._username = username
+        this._password = password
         this._ignoreLines = 2
-        this._queue = []
+        this._queues = {}
+        PRIORITIES.forEach(p => this._queues[p] = [])
+        this._starvationLimit = 10
+        this._skipped = {}
+        PRIORITIES.forEach(p => this._skipped[p] = 0)
         this._lastline = ""
         this._lastevent = ""
         this._cmdstarted = Date.now()
@@ -41,7 +84,15 @@ class TS3Query extends EventEmitter {
         this._keepalive = false
         this._keepalivetimer
         this._active = false
+        this._pipeline = []
+        this._retry = []
         this._antiSpamStepping = 0
+        this._floodControl = false
+        this._timeout = 0
+        this._home = false
+        this._homeNickname = false
+        this._selected = false
+        this._closed = false
         this._data = ""
         this._doubleEvents = [
           "notifyclientleftview",
@@ -49,12 +100,30 @@ class TS3Query extends EventEmitter {
           "notifycliententerview"
         ]
 
+        if (this._proto !== "raw" && this._proto !== "ssh")
+          throw new Error("Invalid Protocol given! Expected (\"raw\" or \"ssh\")")
+
+        this.connect()
+    }
+
+
+    /**
+     * Opens the Socket to the TeamSpeak Server
+     * Commands which are still in the queue will be sent after the connection has been established
+     * @version 1.10
+     */
+    connect() {
+        if (this.connected) return
+        this._closed = false
+        this._ignoreLines = 2
+        this._lastline = ""
+        this._lastevent = ""
+        this._selected = false
+
         if (this._proto === "raw") {
-          this._socket = new RAW(host, port)
-        } else if (this._proto === "ssh") {
-          this._socket = new SSH(host, port, username, password)
+          this._socket = new RAW(this._host, this._port)
         } else {
-          throw new Error("Invalid Protocol given! Expected (\"raw\" or \"ssh\")")
+          this._socket = new SSH(this._host, this._port, this._username, this._password)
         }
 
         this._socket.on("connect", () => {
@@ -78,12 +147,21 @@ class TS3Query extends EventEmitter {
           if (line.indexOf("error") === 0) {
               let res = this._active.res
               this._lastline = ""
+              clearTimeout(this._active.timer)
               res.finalize(line)
-              if (res.hasError())
-                  this._active.reject(res.getError())
-              else
-                  this._active.fulfill(res.getResponse())
+              //a command which timed out already got rejected, its late response only resyncs the queue
+              if (!this._active.timedout) {
+                  if (res.hasError() && this._handleFlood(this._active, res.getError()))
+                      this._retry.push(this._active)
+                  else if (res.hasError())
+                      this._active.reject(res.getError())
+                  else
+                      this._active.fulfill(this._active.raw ? res.getRaw() : res.getResponse())
+              }
+              if (this._pipeline.length > 0)
+                  return this._activate(this._pipeline.shift())
               this._active = false
+              this._requeueRetries()
               return this._queueWorker()
           } else if (line.indexOf("notify") === 0) {
               if (this._doubleEvents.some(s => line.indexOf(s) === 0)
@@ -99,9 +177,20 @@ class TS3Query extends EventEmitter {
                * @type {object}
                * @property {any} data - The data received from the Event
                */
-              return this.emit(
-                  line.substr(6, line.indexOf(" ") - 6),
-                  Response.parse(line.substr(line.indexOf(" ") + 1)))
+              var name = line.substr(6, line.indexOf(" ") - 6)
+              var data = Response.parse(line.substr(line.indexOf(" ") + 1))
+              /**
+               * Query Notify Event
+               * Gets fired for every Event which the Query receives
+               *
+               * @event TS3Query#notify
+               * @memberof  TS3Query
+               * @type {object}
+               * @property {string} name - The name of the Event without the notify prefix
+               * @property {any} data - The data received from the Event
+               */
+              this.emit("notify", name, data)
+              return this.emit(name, data)
           } else if (this._active) {
               this._active.res.setLine(line)
           }
@@ -119,6 +208,20 @@ class TS3Query extends EventEmitter {
             clearTimeout(this._keepalivetimer)
             clearTimeout(this._antispamTimeout)
             var str = (this._lastline.indexOf("error") === 0) ? Response.parse(this._lastline)[0] : ""
+            //sent commands may or may not have been executed, the remaining queue gets kept for a reconnect
+            if (typeof this._active === "object" && !this._active.sent) {
+                var unsent = [this._active].concat(this._pipeline)
+                    .filter(entry => !entry.internal && !(entry.signal && entry.signal.aborted))
+                unsent.reverse().forEach(entry => this._queues[entry.priority].unshift(entry))
+            } else if (typeof this._active === "object") {
+                [this._active].concat(this._pipeline).forEach(entry => {
+                    clearTimeout(entry.timer)
+                    entry.reject(new Error("Connection closed while waiting for a response"))
+                })
+            }
+            this._active = false
+            this._pipeline = []
+            this._requeueRetries()
             /**
              * Query Close Event
              * Gets fired when the Query disconnects from the TeamSpeak Server
@@ -133,6 +236,30 @@ class TS3Query extends EventEmitter {
     }
 
 
+    /**
+     * Closes the Socket without sending quit, the close Event gets fired like after a lost connection
+     * @version 1.10
+     */
+    close() {
+        if (this._socket) this._socket.close()
+    }
+
+
+    /**
+     * Rejects all queued commands and every following command until the connection gets opened again
+     * Gets used when the connection has been closed and no reconnect will be made
+     * @version 1.10
+     */
+    shutdown() {
+        this._closed = true
+        PRIORITIES.forEach(p => {
+            var queue = this._queues[p]
+            this._queues[p] = []
+            queue.forEach(entry => entry.reject(new Error("Query connection has been closed")))
+        })
+    }
+
+
     /**
      * Sends keepalive to the TeamSpeak Server so the connection will not be closed
      * @version 1.0
@@ -164,6 +291,88 @@ class TS3Query extends EventEmitter {
     }
 
 
+    /**
+     * Enables the flood control which spends points for every command like the server does
+     * and automatically backs off when the server reports a flood ban
+     * @version 1.10
+     * @param {(object|boolean)} [options={}] - The options for the FloodControl or false to disable it
+     * @returns {(FloodControl|boolean)} the FloodControl which has been enabled
+     */
+    floodControl(options = {}) {
+        this._floodControl = (options === false) ? false : new FloodControl(options)
+        return this._floodControl
+    }
+
+
+    /**
+     * Sets the nickname which gets passed with the use command when the Query switches back to the home server
+     * after a command for another virtual server, since the server resets the nickname with every switch
+     * @version 1.10
+     * @param {(string|boolean)} [nickname=false] - The nickname or false to keep the default one
+     */
+    homeNickname(nickname = false) {
+        this._homeNickname = nickname
+    }
+
+
+    /**
+     * Retrieves the active FloodControl
+     * @version 1.10
+     * @returns {(FloodControl|boolean)} the FloodControl or false if disabled
+     */
+    getFloodControl() {
+        return this._floodControl
+    }
+
+
+    /**
+     * Sets the default timeout for every command
+     * When the TeamSpeak Server does not answer within this time the command gets rejected with a TimeoutError,
+     * when it still does not answer within the same time again the connection gets closed
+     * @version 1.10
+     * @param {number} [i=0] - The time in ms a command may take, 0 disables the timeout
+     */
+    commandTimeout(i = 0) {
+        this._timeout = i
+    }
+
+
+    /**
+     * Sets how many commands of higher priority lanes may get sent
+     * while a command in a lower priority lane is waiting, before the lower lane gets served once
+     * @version 1.10
+     * @param {number} [i=10] - The amount of commands a waiting lane may get skipped
+     */
+    starvationLimit(i = 10) {
+        this._starvationLimit = i
+    }
+
+
+    /**
+     * Returns the amount of commands which are waiting to get sent or are waiting for a response
+     * @version 1.10
+     * @returns {number}
+     */
+    getQueueSize() {
+        return PRIORITIES.reduce((size, p) => size + this._queues[p].length, 0)
+            + ((typeof this._active === "object") ? 1 : 0)
+            + this._pipeline.length
+    }
+
+
+    /**
+     * Returns the names of the commands which are waiting to get sent or are waiting for a response
+     * @version 1.10
+     * @returns {string[]}
+     */
+    getQueuedCommands() {
+        var entries = ((typeof this._active === "object") ? [this._active] : [])
+            .concat(this._pipeline, this._retry)
+        PRIORITIES.forEach(p => entries = entries.concat(this._queues[p]))
+        return entries.map(entry => entry.cmd._cmd)
+    }
+
+
     /**
      * Refreshes the Keepalive Timer
      * @version 1.0
@@ -186,30 +395,373 @@ class TS3Query extends EventEmitter {
      * @param {string} Command - The Command which should get executed on the TeamSpeak Server
      * @param {object} [Object] - Optional the Parameters
      * @param {object} [Array] - Optional Flagwords
+     * @param {object[]} [Rows] - Optional multiple rows of Parameters which get separated by a pipe
+     * @param {string} [Raw] - Optional String which gets appended to the Command without escaping
      * @returns {Promise.<object>} Promise object which returns the Information about the Query executed
      */
     execute() {
-        var args = arguments
-        return new Promise((fulfill, reject) => {
-            var cmd = new Command()
-            Object.keys(args).forEach(a => {
-                switch (typeof(args[a])) {
-                    case "string":
-                        return cmd.setCommand(args[a])
-                    case "object":
-                        if (Array.isArray(args[a]))
-                            return cmd.setFlags(args[a])
-                        return cmd.setOptions(args[a])
-                }
+        return this._enqueue(arguments, {})
+    }
+
+
+    /**
+     * Sends a command to the TeamSpeak Server before all other commands which are waiting in the queue.
+     * Commands which have been prioritized this way will keep their order between each other.
+     * @version 1.10
+     * @async
+     * @param {string} Command - The Command which should get executed on the TeamSpeak Server
+     * @param {object} [Object] - Optional the Parameters
+     * @param {object} [Array] - Optional Flagwords
+     * @param {object[]} [Rows] - Optional multiple rows of Parameters which get separated by a pipe
+     * @param {string} [Raw] - Optional String which gets appended to the Command without escaping
+     * @returns {Promise.<object>} Promise object which returns the Information about the Query executed
+     */
+    executePrior() {
+        return this._enqueue(arguments, {prior: true})
+    }
+
+
+    /**
+     * Sends a command to the TeamSpeak Server with additional options for this single command.
+     * @version 1.10
+     * @async
+     * @param {object} options - The Options for this Command
+     * @param {number} [options.timeout] - Overrides the default timeout for this command (in ms), 0 disables it
+     * @param {object} [options.signal] - An AbortSignal, when it gets aborted while the command is still queued it will be removed from the queue
+     * @param {string} [options.priority] - The priority lane of the command ("high", "normal" or "background"), defaults to the lane of the command
+     * @param {boolean} [options.prior=false] - Whether the command should be sent before all other queued commands
+     * @param {number} [options.sid] - The virtual server the command should get executed on, the Query selects it before the command
+     *                                 and switches back to the previously selected server before the next command without a sid
+     * @param {boolean} [options.raw=false] - Whether the command should resolve with the unparsed response line
+     * @param {string} Command - The Command which should get executed on the TeamSpeak Server
+     * @param {object} [Object] - Optional the Parameters
+     * @param {object} [Array] - Optional Flagwords
+     * @param {object[]} [Rows] - Optional multiple rows of Parameters which get separated by a pipe
+     * @param {string} [Raw] - Optional String which gets appended to the Command without escaping
+     * @returns {Promise.<object>} Promise object which returns the Information about the Query executed
+     */
+    executeWith(options) {
+        return this._enqueue(Array.prototype.slice.call(arguments, 1), options || {})
+    }
+
+
+    /**
+     * Sends multiple commands in a row without waiting for the response of the previous command.
+     * The responses get mapped back to the commands in the order they have been sent.
+     * Commands which change the session (use, login, logout, quit) get sent one after another.
+     * @version 1.10
+     * @param {object} options - The Options for all Commands, see executeWith
+     * @param {Array[]} commands - A list of Arguments like they would get passed to execute
+     * @returns {Promise[]} one Promise for every Command
+     */
+    executeBatch(options, commands) {
+        options = options || {}
+        var group = {}
+        var entries = []
+        var promises = commands.map(args => {
+            return new Promise((fulfill, reject) => {
+                var entry = this._createEntry(args, options, fulfill, reject)
+                if (!entry) return
+                if (NO_SERVER_SWITCH.indexOf(entry.cmd._cmd) < 0) entry.group = group
+                entries.push(entry)
             })
-            this._queueWorker({
-                cmd: cmd,
-                fulfill: fulfill,
-                reject: reject
+        })
+        //all commands of a batch have to stay in the same lane to get sent in a row
+        if (entries.length > 0) {
+            var priority = options.priority || entries[0].priority
+            entries.forEach(entry => {
+                if (!entry.prior) entry.priority = priority
+                this._addToQueue(entry)
             })
+            this._queueWorker()
+        }
+        return promises
+    }
+
+
+    /**
+     * Builds the Command and adds it to the queue
+     * @version 1.10
+     * @private
+     * @async
+     * @param {object} args - The Arguments which have been passed to execute
+     * @param {object} options - The Options for this Command
+     * @returns {Promise.<object>}
+     */
+    _enqueue(args, options) {
+        return new Promise((fulfill, reject) => {
+            var entry = this._createEntry(args, options, fulfill, reject)
+            if (entry) this._queueWorker(entry)
         })
     }
 
+
+    /**
+     * Builds the queue entry of a Command
+     * @version 1.10
+     * @private
+     * @param {object} args - The Arguments which have been passed to execute
+     * @param {object} options - The Options for this Command
+     * @param {function} fulfill - Gets called with the response
+     * @param {function} reject - Gets called with the error
+     * @returns {(object|boolean)} the queue entry or false when the Command has already been rejected
+     */
+    _createEntry(args, options, fulfill, reject) {
+        var cmd = new Command()
+        Object.keys(args).forEach(a => {
+            switch (typeof(args[a])) {
+                case "string":
+                    if (cmd._cmd !== "") return cmd.setRaw(args[a])
+                    return cmd.setCommand(args[a])
+                case "object":
+                    if (Array.isArray(args[a]) && args[a].length > 0
+                        && args[a].every(row => row !== null && typeof row === "object"))
+                        return cmd.setMultiOptions(args[a])
+                    if (Array.isArray(args[a]))
+                        return cmd.setFlags(args[a])
+                    return cmd.setOptions(args[a])
+            }
+        })
+        var priority = options.priority || DEFAULT_PRIORITIES[cmd._cmd] || "normal"
+        if (PRIORITIES.indexOf(priority) < 0) {
+            reject(new Error("Invalid priority \""+priority+"\" given! Expected one of "+PRIORITIES.join(", ")))
+            return false
+        }
+        if (this._closed) {
+            reject(new Error("Query connection has been closed"))
+            return false
+        }
+        var signal = options.signal
+        if (signal && signal.aborted) {
+            reject(new AbortError(cmd._cmd))
+            return false
+        }
+        var entry = {
+            cmd: cmd,
+            prior: Boolean(options.prior),
+            priority: (options.prior) ? PRIORITIES[0] : priority,
+            timeout: (typeof options.timeout === "number") ? options.timeout : this._timeout,
+            sid: options.sid,
+            raw: Boolean(options.raw),
+            fulfill: res => {
+                this._removeAbortListener(entry)
+                this._trackSelection(entry)
+                fulfill(res)
+            },
+            reject: err => {
+                this._removeAbortListener(entry)
+                reject(err)
+            }
+        }
+        if (signal) this._addAbortListener(entry, signal)
+        return entry
+    }
+
+
+    /**
+     * Remembers the virtual server which has been selected by a successful command
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which has been executed
+     */
+    _trackSelection(entry) {
+        if (entry.cmd._cmd === "use") {
+            this._home = entry.cmd
+            this._selected = entry.cmd.build()
+        } else if (entry.cmd._cmd === "logout") {
+            this._home = false
+            this._selected = false
+        }
+    }
+
+
+    /**
+     * Retrieves the use command which needs to be sent before the given command
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which should get sent next
+     * @returns {(Command|boolean)} the use command or false when the right server is already selected
+     */
+    _getServerSwitch(entry) {
+        if (NO_SERVER_SWITCH.indexOf(entry.cmd._cmd) >= 0) return false
+        var use = (entry.sid === undefined)
+            ? this._home
+            : new Command().setCommand("use").setFlags([entry.sid])
+        if (!use || use.build() === this._selected) return false
+        return use
+    }
+
+
+    /**
+     * Checks whether another virtual server than the home server is selected
+     * @version 1.10
+     * @private
+     * @returns {boolean}
+     */
+    _isAway() {
+        return Boolean(this._home) && this._selected !== false && this._home.build() !== this._selected
+    }
+
+
+    /**
+     * Creates the internal command which selects the virtual server for the next command
+     * When the server can not be selected the next command gets rejected with the same error
+     * @version 1.10
+     * @private
+     * @param {object} [entry] - The command which should get sent after the switch, none when switching back to the home server on an empty queue
+     * @param {Command} use - The use command to send
+     * @returns {object} the queue entry for the use command
+     */
+    _createServerSwitch(entry, use) {
+        var home = (use === this._home)
+        return {
+            cmd: (home && this._homeNickname) ? this._withNickname(use, this._homeNickname) : use,
+            internal: true,
+            priority: (entry) ? entry.priority : PRIORITIES[PRIORITIES.length - 1],
+            timeout: this._timeout,
+            fulfill: () => {
+                this._selected = use.build()
+                /**
+                 * Query Home Event
+                 * Gets fired when the Query has switched back to the home server after a command for another virtual server,
+                 * commands which get prioritized inside a Listener get sent before the next queued command
+                 *
+                 * @event TS3Query#home
+                 * @memberof  TS3Query
+                 */
+                if (home) this.emit("home")
+            },
+            reject: err => {
+                //the next command without sid tries to switch back again and receives the error
+                if (!entry) return this._selected = false
+                var queue = this._queues[entry.priority]
+                if (queue.indexOf(entry) < 0) return
+                queue.splice(queue.indexOf(entry), 1)
+                entry.reject(err)
+            }
+        }
+    }
+
+
+    /**
+     * Creates a copy of a use command which also sets the nickname of the Query
+     * @version 1.10
+     * @private
+     * @param {Command} use - The use command
+     * @param {string} nickname - The nickname of the Query
+     * @returns {Command}
+     */
+    _withNickname(use, nickname) {
+        var opts = Object.assign({}, use._opts, {client_nickname: nickname})
+        if (use._flags.length > 0) opts.sid = use._flags[0]
+        return new Command().setCommand("use").setOptions(opts)
+    }
+
+
+    /**
+     * Removes a queued command when the given signal gets aborted
+     * @version 1.10
+     * @private
+     * @param {object} entry - The queued command
+     * @param {object} signal - The AbortSignal which has been given to the command
+     */
+    _addAbortListener(entry, signal) {
+        entry.signal = signal
+        entry.onabort = () => {
+            var queue = this._queues[entry.priority]
+            var index = queue.indexOf(entry)
+            if (index < 0) return
+            queue.splice(index, 1)
+            entry.reject(new AbortError(entry.cmd._cmd))
+        }
+        if (typeof signal.addEventListener === "function")
+            signal.addEventListener("abort", entry.onabort)
+        else if (typeof signal.once === "function")
+            signal.once("abort", entry.onabort)
+    }
+
+
+    /**
+     * Removes the abort listener of a command which has been settled
+     * @version 1.10
+     * @private
+     * @param {object} entry - The queued command
+     */
+    _removeAbortListener(entry) {
+        if (!entry.signal) return
+        if (typeof entry.signal.removeEventListener === "function")
+            entry.signal.removeEventListener("abort", entry.onabort)
+        else if (typeof entry.signal.removeListener === "function")
+            entry.signal.removeListener("abort", entry.onabort)
+        entry.signal = null
+    }
+
+
+    /**
+     * Checks if a command has failed due to a flood ban and whether it should get retried
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which failed
+     * @param {ResponseError} err - The error which has been received
+     * @returns {boolean} true when the command should get sent again
+     */
+    _handleFlood(entry, err) {
+        if (err.id !== 524 || !this._floodControl) return false
+        var wait = String(err.extra_msg).match(/(\d+)\s*second/)
+        this._floodControl.penalize(wait ? parseInt(wait[1]) : 1)
+        /**
+         * Query Flood Event
+         * Gets fired when the server reported a flood ban and the Query backs off
+         *
+         * @event TS3Query#flood
+         * @memberof  TS3Query
+         * @type {ResponseError}
+         */
+        this.emit("flood", err)
+        entry.retries = (entry.retries || 0) + 1
+        entry.sent = false
+        return entry.retries <= 3
+    }
+
+
+    /**
+     * Puts the commands which failed due to a flood ban back to the front of their lanes
+     * Gets used after the last response of a batch so the commands keep the order they have been sent in
+     * @version 1.10
+     * @private
+     */
+    _requeueRetries() {
+        this._retry.reverse().forEach(entry => this._queues[entry.priority].unshift(entry))
+        this._retry = []
+    }
+
+
+    /**
+     * Handles a command which did not receive a response in time
+     * The command gets rejected, when its response does still not arrive within the timeout the connection gets closed
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which timed out
+     */
+    _handleTimeout(entry) {
+        if (this._active !== entry) return
+        entry.timedout = true
+        entry.reject(new TimeoutError(entry.cmd._cmd, entry.timeout))
+        /**
+         * Query Timeout Event
+         * Gets fired when a command did not receive a response in time
+         *
+         * @event TS3Query#timeout
+         * @memberof  TS3Query
+         * @type {object}
+         * @property {string} cmd - The command which timed out
+         */
+        this.emit("timeout", entry.cmd._cmd)
+        entry.timer = setTimeout(() => {
+            if (this._active === entry) this._socket.close()
+        }, entry.timeout)
+    }
+
     /**
      * Executes the next command
      * @version 1.0
@@ -217,19 +769,110 @@ class TS3Query extends EventEmitter {
      * @param {object} [cmd] - the next command which should get executedd
      */
     _queueWorker(cmd = false) {
-        if (cmd) this._queue.push(cmd)
+        if (cmd) this._addToQueue(cmd)
         if (!this.connected
-            || typeof this._active == "object"
-            || this._queue.length == 0) return
-        this._active = this._queue.shift()
+            || typeof this._active == "object") return
+        var lane = this._nextLane()
+        //once the queue is empty the Query switches back to the home server so its events keep arriving
+        if (!lane && !this._isAway()) return
+        var pending = (lane) ? this._queues[lane] : []
+        var use = (lane) ? this._getServerSwitch(pending[0]) : this._home
+        this._active = (use) ? this._createServerSwitch(pending[0], use) : pending.shift()
         this._active.res = new Response()
+        //the following commands of a batch get sent together with the first one
+        if (!use && this._active.group) {
+            var cost = (this._floodControl) ? this._floodControl.getCost(this._active.cmd._cmd) : 0
+            while (pending.length > 0 && pending[0].group === this._active.group) {
+                //the rest of a batch which would exceed the flood limit gets sent with the next pipeline
+                if (this._floodControl) cost += this._floodControl.getCost(pending[0].cmd._cmd)
+                if (this._floodControl && cost > this._floodControl.getCapacity()) break
+                this._pipeline.push(pending.shift())
+            }
+        }
+        var delay = this._antiSpamStepping - (Date.now() - this._cmdstarted)
+        if (this._floodControl)
+            delay = Math.max(delay, this._floodControl.getDelay(
+                [this._active].concat(this._pipeline).map(entry => entry.cmd._cmd)
+            ))
         this._antispamTimeout = setTimeout(() => {
+            var sending = [this._active].concat(this._pipeline)
             this._cmdstarted = Date.now()
-            this._socket.send(this._active.cmd.build())
-        }, this._antiSpamStepping - (Date.now() - this._cmdstarted))
+            sending.forEach(entry => {
+                if (this._floodControl) this._floodControl.consume(entry.cmd._cmd)
+                this._socket.send(entry.cmd.build())
+                entry.sent = true
+            })
+            this._startTimeout(this._active)
+        }, delay)
         this._refreshKeepAlive()
     }
 
+
+    /**
+     * Makes the next already sent command of a batch the active command
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which waits for its response
+     */
+    _activate(entry) {
+        this._active = entry
+        this._active.res = new Response()
+        this._startTimeout(entry)
+    }
+
+
+    /**
+     * Starts the response timeout of a sent command
+     * @version 1.10
+     * @private
+     * @param {object} entry - The command which waits for its response
+     */
+    _startTimeout(entry) {
+        if (entry.timeout > 0)
+            entry.timer = setTimeout(() => this._handleTimeout(entry), entry.timeout)
+    }
+
+
+    /**
+     * Adds a command to its priority lane
+     * @version 1.10
+     * @private
+     * @param {object} cmd - The command which should get queued
+     */
+    _addToQueue(cmd) {
+        var queue = this._queues[cmd.priority]
+        if (cmd.prior) {
+            var index = queue.findIndex(c => !c.prior)
+            queue.splice((index < 0) ? queue.length : index, 0, cmd)
+        } else {
+            queue.push(cmd)
+        }
+    }
+
+
+    /**
+     * Selects the priority lane from which the next command should get sent
+     * A lower lane which has been skipped too often gets served before the higher lanes
+     * @version 1.10
+     * @private
+     * @returns {(string|boolean)} the name of the lane or false when all lanes are empty
+     */
+    _nextLane() {
+        var waiting = PRIORITIES.filter(p => this._queues[p].length > 0)
+        if (waiting.length === 0) return false
+        var lane = waiting[0]
+        //prioritized commands like the session restore always get sent first
+        if (!this._queues[lane][0].prior) {
+            var starving = waiting.find(p => this._skipped[p] >= this._starvationLimit)
+            if (starving) lane = starving
+        }
+        waiting.forEach(p => {
+            if (p === lane) return this._skipped[p] = 0
+            if (PRIORITIES.indexOf(p) > PRIORITIES.indexOf(lane)) this._skipped[p]++
+        })
+        return lane
+    }
+
 }
 
 module.exports = TS3Query
@@ -58,6 +58,10 @@ class RAW extends EventEmitter {
     this._socket.write("\n")
   }
 
+  close() {
+    this._socket.destroy()
+  }
+
 }
 
 
@@ -65,6 +65,10 @@ class SSH extends EventEmitter {
   sendKeepAlive() {
     tthis._stream.write("\n")
   }
+
+  close() {
+    this._ssh.end()
+  }
 }
 
 